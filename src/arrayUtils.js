@@ -3,17 +3,26 @@
  * @module array
  */
 
+import { getNestedValue } from './objectUtils.js';
+
+// Arrays and other iterables (Sets, Maps, generators) are accepted; strings are not.
+const isIterableObject = (value) =>
+  Array.isArray(value) || (value !== null && typeof value === 'object' && typeof value[Symbol.iterator] === 'function');
+
+const toArray = (value) => (Array.isArray(value) ? value : Array.from(value));
+
 /**
- * Splits an array into chunks of a specified size.
- * @param {Array} arr - The input array.
+ * Splits an array (or any iterable) into chunks of a specified size.
+ * @param {Iterable} arr - The input array.
  * @param {number} size - The size of each chunk.
  * @returns {Array} An array of chunks.
  * @example
  * chunk([1, 2, 3, 4, 5], 2); // [[1, 2], [3, 4], [5]]
  */
 export const chunk = (arr, size) => {
-  if (!Array.isArray(arr)) throw new TypeError('Input must be an array');
+  if (!isIterableObject(arr)) throw new TypeError('Input must be an array');
   if (typeof size !== 'number' || size <= 0) throw new TypeError('Size must be a positive number');
+  arr = toArray(arr);
   const chunks = [];
   for (let i = 0; i < arr.length; i += size) {
     chunks.push(arr.slice(i, i + size));
@@ -35,29 +44,34 @@ export const flatten = (arr, depth = 1) => {
 }
 
 /**
- * Removes duplicate elements from an array.
- * @param {Array} arr - The input array.
+ * Removes duplicate elements from an array (or any iterable).
+ * @param {Iterable} arr - The input array.
  * @returns {Array} The array with duplicates removed.
  * @example
  * unique([1, 2, 2, 3, 4, 4]); // [1, 2, 3, 4]
  */
 export const unique = (arr) => {
-  if (!Array.isArray(arr)) throw new TypeError('Input must be an array');
+  if (!isIterableObject(arr)) throw new TypeError('Input must be an array');
   return [...new Set(arr)];
 }
 
 /**
- * Shuffles the elements of an array in place.
+ * Returns a shuffled copy of an array (Fisher-Yates).
  * @param {Array} arr - The input array.
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random=Math.random] - Random source returning a float in [0, 1),
+ *   e.g. from createRandom for a reproducible order.
  * @returns {Array} The shuffled array.
  * @example
  * shuffle([1, 2, 3, 4]); // [3, 1, 4, 2] (random order)
+ * shuffle([1, 2, 3, 4], { random: createRandom(42) }); // the same order on every run
  */
-export const shuffle = (arr) => {
+export const shuffle = (arr, options = {}) => {
   if (!Array.isArray(arr)) throw new TypeError('Input must be an array');
+  const { random = Math.random } = options;
   const shuffled = [...arr];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -66,120 +80,564 @@ export const shuffle = (arr) => {
 /**
  * Gets a random element from an array
  * @param {Array} arr - The array
+ * @param {Object} [options] - Options
+ * @param {Function} [options.random=Math.random] - Random source returning a float in [0, 1)
  * @returns {*} Random element
  * @example
  * randomElement([1, 2, 3, 4, 5]); // 5
  */
-export const randomElement = (arr) => {
+export const randomElement = (arr, options = {}) => {
   if (!Array.isArray(arr) || arr.length === 0) return undefined;
-  return arr[Math.floor(Math.random() * arr.length)];
+  const { random = Math.random } = options;
+  return arr[Math.floor(random() * arr.length)];
 };
 
 /**
- * Removes falsy values from an array
- * @param {Array} arr - The array to compact
+ * Picks n distinct elements from an array at random (sampling without replacement).
+ * @param {Array} arr - The input array.
+ * @param {number} n - The number of elements; capped at the array length.
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random=Math.random] - Random source returning a float in [0, 1).
+ * @returns {Array} The sampled elements, in random order.
+ * @example
+ * sample(['a', 'b', 'c', 'd', 'e'], 2); // ['d', 'a']
+ */
+export const sample = (arr, n, options = {}) => {
+  if (!Array.isArray(arr)) throw new TypeError('Input must be an array');
+  if (!Number.isInteger(n) || n < 0) throw new RangeError('Sample size must be a non-negative integer');
+  const { random = Math.random } = options;
+  const pool = [...arr];
+  const size = Math.min(n, pool.length);
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, size);
+}
+
+/**
+ * Picks one element at random, with each element's chance proportional to its weight.
+ * @param {Array} items - The elements to pick from.
+ * @param {Array<number>} weights - A non-negative weight for each element.
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random=Math.random] - Random source returning a float in [0, 1).
+ * @returns {*} The picked element, or undefined if items is empty.
+ * @example
+ * weightedRandom(['common', 'rare'], [9, 1]); // 'common' about 90% of the time
+ */
+export const weightedRandom = (items, weights, options = {}) => {
+  if (!Array.isArray(items) || !Array.isArray(weights)) throw new TypeError('Items and weights must be arrays');
+  if (items.length !== weights.length) throw new RangeError('Items and weights must have the same length');
+  if (items.length === 0) return undefined;
+  if (weights.some(weight => !Number.isFinite(weight) || weight < 0)) {
+    throw new RangeError('Weights must be non-negative finite numbers');
+  }
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (total <= 0) throw new RangeError('At least one weight must be positive');
+
+  const { random = Math.random } = options;
+  let target = random() * total;
+  let last;
+  for (let i = 0; i < items.length; i++) {
+    if (weights[i] === 0) continue;
+    last = items[i];
+    target -= weights[i];
+    if (target < 0) return last;
+  }
+  // Floating-point rounding can leave target at 0 after the loop.
+  return last;
+}
+
+/**
+ * Picks k elements uniformly at random from an iterable of unknown length in a
+ * single pass, holding at most k elements in memory (reservoir sampling).
+ * @param {Iterable} iterable - The input, e.g. an array, Set or generator.
+ * @param {number} k - The number of elements.
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random=Math.random] - Random source returning a float in [0, 1).
+ * @returns {Array} Up to k sampled elements.
+ * @example
+ * reservoirSample(readLines('access.log'), 100); // 100 random lines
+ */
+export const reservoirSample = (iterable, k, options = {}) => {
+  if (iterable == null || typeof iterable[Symbol.iterator] !== 'function') {
+    throw new TypeError('Input must be iterable');
+  }
+  if (!Number.isInteger(k) || k < 0) throw new RangeError('Sample size must be a non-negative integer');
+  const { random = Math.random } = options;
+  const reservoir = [];
+  let seen = 0;
+  for (const item of iterable) {
+    seen++;
+    if (reservoir.length < k) {
+      reservoir.push(item);
+    } else {
+      const j = Math.floor(random() * seen);
+      if (j < k) reservoir[j] = item;
+    }
+  }
+  return reservoir;
+}
+
+/**
+ * Removes falsy values from an array (or any iterable)
+ * @param {Iterable} arr - The array to compact
  * @returns {Array} Array without falsy values
  * @example
  * compact([0, 1, false, 2, '', 3, null, undefined, NaN]); // [1, 2, 3]
  */
 export const compact = (arr) => {
-  if (!Array.isArray(arr)) return [];
-  return arr.filter(Boolean);
+  if (!isIterableObject(arr)) return [];
+  return toArray(arr).filter(Boolean);
 };
 
+const SORT_ORDERS = ['asc', 'desc'];
+const NULL_POSITIONS = ['first', 'last'];
+
+const toSortKey = (key) => {
+  const spec = key !== null && typeof key === 'object' ? key : { key };
+  const { key: by, order = 'asc' } = spec;
+  if (!SORT_ORDERS.includes(order)) throw new RangeError(`Unknown sort order: ${order}`);
+  if (by === undefined) return { get: item => item, direction: order === 'desc' ? -1 : 1 };
+  if (typeof by === 'function') return { get: by, direction: order === 'desc' ? -1 : 1 };
+  if (typeof by !== 'string' && typeof by !== 'number') {
+    throw new TypeError('Sort key must be a path, a function or { key, order }');
+  }
+  const path = String(by);
+  return { get: item => getNestedValue(item, path), direction: order === 'desc' ? -1 : 1 };
+};
+
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value);
+
+const compileComparator = (keys, options) => {
+  const { locale, natural = false, nulls = 'last' } = options;
+  if (!NULL_POSITIONS.includes(nulls)) throw new RangeError(`Unknown nulls position: ${nulls}`);
+  const sortKeys = (Array.isArray(keys) ? keys : [keys]).map(toSortKey);
+  const collator = new Intl.Collator(locale, { numeric: natural });
+  const nullOrder = nulls === 'first' ? -1 : 1;
+
+  const compareValues = (a, b) => {
+    const aMissing = isMissing(a);
+    const bMissing = isMissing(b);
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : null;
+    if (typeof a === 'string' && typeof b === 'string') return collator.compare(a, b);
+    if (typeof a === typeof b || (a instanceof Date && b instanceof Date)) {
+      return a < b ? -1 : a > b ? 1 : 0;
+    }
+    return collator.compare(String(a), String(b));
+  };
+
+  const compareKeys = (aKeys, bKeys) => {
+    for (let i = 0; i < sortKeys.length; i++) {
+      const result = compareValues(aKeys[i], bKeys[i]);
+      // Missing values keep their position whatever the sort order.
+      if (result === null) return isMissing(aKeys[i]) ? nullOrder : -nullOrder;
+      if (result !== 0) return result * sortKeys[i].direction;
+    }
+    return 0;
+  };
+  return { sortKeys, compareKeys };
+};
+
+/**
+ * Creates a comparator for use with Array.prototype.sort. Strings are compared with
+ * Intl.Collator, and null, undefined and NaN values are placed first or last
+ * whatever the sort order.
+ * @param {string|Function|Object|Array} [keys] - A dot-path, an iteratee, a
+ *   { key, order } object, or an array of them in priority order. Omit to compare items directly.
+ * @param {Object} [options] - Options.
+ * @param {string|Array<string>} [options.locale] - The locale(s) for string collation.
+ * @param {boolean} [options.natural=false] - Compare digit runs numerically ('item2' < 'item10').
+ * @param {string} [options.nulls='last'] - Where missing values go: 'first' or 'last'.
+ * @returns {Function} The comparator.
+ * @example
+ * files.sort(compareBy('name', { natural: true })); // ['item2', 'item10'] by name
+ * users.sort(compareBy([{ key: 'age', order: 'desc' }, 'name']));
+ */
+export const compareBy = (keys, options = {}) => {
+  const { sortKeys, compareKeys } = compileComparator(keys, options);
+  return (a, b) => compareKeys(sortKeys.map(key => key.get(a)), sortKeys.map(key => key.get(b)));
+}
+
 /**
- * Sorts an array of objects by a property.
+ * Sorts an array by one or more keys, returning a new array. The sort is stable, and
+ * each key is computed once per item. See compareBy for how values are compared.
  * @param {Array} arr - The input array.
- * @param {string} prop - The property to sort by.
- * @param {string} [order='asc'] - The sort order ('asc' or 'desc').
+ * @param {string|Function|Object|Array} [keys] - A dot-path, an iteratee, a
+ *   { key, order } object, or an array of them in priority order.
+ * @param {Object|string} [options] - Options (see compareBy), or 'asc'/'desc' to set the
+ *   order of a single key.
  * @returns {Array} The sorted array.
  * @example
  * sortBy([{a: 2}, {a: 1}], 'a'); // [{a: 1}, {a: 2}]
+ * sortBy(users, [{ key: 'user.lastName' }, { key: u => u.score, order: 'desc' }], { locale: 'de' });
+ * sortBy(['item10', 'item2'], undefined, { natural: true }); // ['item2', 'item10']
  */
-export const sortBy = (arr, prop, order = 'asc') => {
+export const sortBy = (arr, keys, options = {}) => {
   if (!Array.isArray(arr)) throw new TypeError('Input must be an array');
-  return [...arr].sort((a, b) => {
-    if (a[prop] < b[prop]) return order === 'asc' ? -1 : 1;
-    if (a[prop] > b[prop]) return order === 'asc' ? 1 : -1;
-    return 0;
-  });
+  if (typeof options === 'string') {
+    keys = { key: keys, order: options };
+    options = {};
+  }
+  const { sortKeys, compareKeys } = compileComparator(keys, options);
+  return arr
+    .map((item, index) => ({ item, index, keys: sortKeys.map(key => key.get(item)) }))
+    .sort((a, b) => compareKeys(a.keys, b.keys) || a.index - b.index)
+    .map(entry => entry.item);
 }
 
+const GROUP_OUTPUTS = ['object', 'map'];
+
+const toIteratee = (key) => {
+  if (typeof key === 'function') return key;
+  if (typeof key !== 'string' && typeof key !== 'number') {
+    throw new TypeError('Key must be a path or a function');
+  }
+  const path = String(key);
+  return item => getNestedValue(item, path);
+};
+
+// defineProperty keeps keys such as "__proto__" and "constructor" as plain own properties.
+const setOwn = (obj, key, value) => Object.defineProperty(obj, key, {
+  value, enumerable: true, writable: true, configurable: true
+});
+
+const mapToObject = (map) => {
+  const obj = {};
+  map.forEach((value, key) => setOwn(obj, key, value instanceof Map ? mapToObject(value) : value));
+  return obj;
+};
+
 /**
- * Groups an array of objects by a property.
+ * Groups array items by one or more keys. With several keys the groups are nested,
+ * one level per key.
  * @param {Array} arr - The input array.
- * @param {string} prop - The property to group by.
- * @returns {Object} An object with grouped arrays.
+ * @param {string|Function|Array} keys - A dot-path, an iteratee called with (item, index),
+ *   or an array of them for nested groups.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.as='object'] - 'object' (keys are converted to strings) or 'map'
+ *   (keys keep their type).
+ * @returns {Object|Map} The groups. A Map keeps groups in order of first appearance; an
+ *   object follows JS property order, so integer-like keys ('2', '10') come first, ascending.
+ *   Use { as: 'map' } when the order matters.
  * @example
  * groupBy([{type: 'a', val: 1}, {type: 'b', val: 2}, {type: 'a', val: 3}], 'type');
  * // {a: [{type: 'a', val: 1}, {type: 'a', val: 3}], b: [{type: 'b', val: 2}]}
+ * groupBy(rows, ['region', 'year']); // { EU: { 2023: [...], 2024: [...] }, US: {...} }
+ * groupBy(events, e => e.date.getFullYear(), { as: 'map' }); // Map { 2023 => [...], ... }
  */
-export const groupBy = (arr, prop) => {
+export const groupBy = (arr, keys, options = {}) => {
   if (!Array.isArray(arr)) throw new TypeError('Input must be an array');
-  return arr.reduce((groups, item) => {
-    const key = item[prop];
-    if (!groups[key]) groups[key] = [];
-    groups[key].push(item);
-    return groups;
-  }, {});
+  const { as = 'object' } = options;
+  if (!GROUP_OUTPUTS.includes(as)) throw new RangeError(`Unknown output type: ${as}`);
+  const getters = (Array.isArray(keys) ? keys : [keys]).map(toIteratee);
+  if (!getters.length) throw new RangeError('At least one group key is required');
+
+  const root = new Map();
+  arr.forEach((item, index) => {
+    let level = root;
+    getters.forEach((get, depth) => {
+      const value = get(item, index);
+      const key = as === 'object' ? String(value) : value;
+      if (!level.has(key)) level.set(key, depth === getters.length - 1 ? [] : new Map());
+      level = level.get(key);
+    });
+    level.push(item);
+  });
+  return as === 'map' ? root : mapToObject(root);
+}
+
+const AGGREGATE_OPS = {
+  count: values => values.length,
+  distinct: values => new Set(values).size,
+  sum: values => values.reduce((a, b) => a + b, 0),
+  avg: values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null),
+  min: values => (values.length ? values.reduce((a, b) => (b < a ? b : a)) : null),
+  max: values => (values.length ? values.reduce((a, b) => (b > a ? b : a)) : null),
+  first: values => (values.length ? values[0] : null),
+  last: values => (values.length ? values[values.length - 1] : null)
+};
+
+const toDimension = (spec) => {
+  const { key, as } = spec !== null && typeof spec === 'object' ? spec : { key: spec };
+  const name = as === undefined ? key : as;
+  if (typeof name !== 'string' && typeof name !== 'number') {
+    throw new TypeError('Function keys need a column name: { key, as }');
+  }
+  return { name: String(name), get: toIteratee(key) };
+};
+
+const toMetric = (spec) => {
+  if (typeof spec === 'function') return spec;
+  if (spec === 'count') return rows => rows.length;
+  if (!Array.isArray(spec) || spec.length !== 2) {
+    throw new TypeError('Metric must be "count", [field, operation] or a function');
+  }
+  const [field, op] = spec;
+  if (!Object.prototype.hasOwnProperty.call(AGGREGATE_OPS, op)) throw new RangeError(`Unknown operation: ${op}`);
+  const get = toIteratee(field);
+  return rows => AGGREGATE_OPS[op](rows.map(get).filter(value => value !== null && value !== undefined));
+};
+
+/**
+ * Summarizes rows into one result row per group, like a pivot table. Missing
+ * (null or undefined) values are skipped by field metrics.
+ * @param {Array} rows - The input rows.
+ * @param {Object} spec - The summary to compute.
+ * @param {string|Object|Array} [spec.by] - Dot-paths or { key, as } objects to group by,
+ *   where key may be an iteratee. Omit to summarize all rows as a single group.
+ * @param {Object} spec.metrics - Output columns, each either 'count', a function of the
+ *   group's rows, or [field, operation] where operation is one of count, distinct, sum,
+ *   avg, min, max, first or last.
+ * @returns {Array<Object>} One row per group, in order of first appearance.
+ * @example
+ * aggregate(sales, { by: ['region', 'year'], metrics: { total: ['amount', 'sum'], n: 'count' } });
+ * // [{ region: 'EU', year: 2023, total: 1200, n: 3 }, ...]
+ */
+export const aggregate = (rows, spec = {}) => {
+  if (!Array.isArray(rows)) throw new TypeError('Input must be an array');
+  const { by = [], metrics = {} } = spec;
+  const dimensions = (Array.isArray(by) ? by : [by]).map(toDimension);
+  const columns = Object.entries(metrics).map(([name, metric]) => [name, toMetric(metric)]);
+
+  const summarize = (group, keyValues) => {
+    const row = {};
+    dimensions.forEach(({ name }, i) => setOwn(row, name, keyValues[i]));
+    columns.forEach(([name, metric]) => setOwn(row, name, metric(group)));
+    return row;
+  };
+  if (!dimensions.length) return [summarize(rows, [])];
+
+  const result = [];
+  const walk = (level, keyValues) => level.forEach((value, key) => {
+    if (value instanceof Map) walk(value, [...keyValues, key]);
+    else result.push(summarize(value, [...keyValues, key]));
+  });
+  walk(groupBy(rows, dimensions.map(dimension => dimension.get), { as: 'map' }), []);
+  return result;
 }
 
+const assertArrays = (arrays) => {
+  if (!arrays.every(Array.isArray)) throw new TypeError('Inputs must be arrays');
+};
+
+const splitLast = (args, kind) => {
+  const last = args[args.length - 1];
+  const arrays = args.slice(0, -1);
+  assertArrays(arrays);
+  if (kind === 'comparator' && typeof last !== 'function') throw new TypeError('Comparator must be a function');
+  return [arrays, kind === 'comparator' ? last : toIteratee(last)];
+};
+
+const filterByKey = (arrays, getKey, inAll) => {
+  const [first = [], ...others] = arrays;
+  const sets = others.map(arr => new Set(arr.map(item => getKey(item))));
+  return first.filter(item => {
+    const key = getKey(item);
+    return inAll ? sets.every(set => set.has(key)) : !sets.some(set => set.has(key));
+  });
+};
+
+const unionByKey = (arrays, getKey) => {
+  const seen = new Set();
+  const result = [];
+  arrays.forEach(arr => arr.forEach(item => {
+    const key = getKey(item);
+    if (!seen.has(key)) {
+      seen.add(key);
+      result.push(item);
+    }
+  }));
+  return result;
+};
+
+const unionWithComparator = (arrays, comparator) => {
+  const result = [];
+  arrays.forEach(arr => arr.forEach(item => {
+    if (!result.some(kept => comparator(kept, item))) result.push(item);
+  }));
+  return result;
+};
+
+const identity = item => item;
+
 /**
- * Finds the intersection of two arrays.
- * @param {Array} arr1 - The first array.
- * @param {Array} arr2 - The second array.
+ * Finds the items of the first array that are present in every other array.
+ * Duplicates in the first array are kept. Runs in linear time.
+ * @param {...Array} arrays - The arrays.
  * @returns {Array} The intersection array.
  * @example
  * intersection([1, 2, 3], [2, 3, 4]); // [2, 3]
+ * intersection([1, 2, 3], [2, 3, 4], [3, 4, 5]); // [3]
  */
-export const intersection = (arr1, arr2) => {
-  if (!Array.isArray(arr1) || !Array.isArray(arr2)) throw new TypeError('Inputs must be arrays');
-  return arr1.filter(item => arr2.includes(item));
+export const intersection = (...arrays) => {
+  assertArrays(arrays);
+  return filterByKey(arrays, identity, true);
 }
 
 /**
- * Finds the difference of two arrays.
- * @param {Array} arr1 - The first array.
- * @param {Array} arr2 - The second array.
+ * Finds the items of the first array that are not present in any other array.
+ * Runs in linear time.
+ * @param {...Array} arrays - The arrays.
  * @returns {Array} The difference array.
  * @example
  * difference([1, 2, 3], [2, 3, 4]); // [1]
+ * difference([1, 2, 3, 4], [2], [4]); // [1, 3]
  */
-export const difference = (arr1, arr2) => {
-  if (!Array.isArray(arr1) || !Array.isArray(arr2)) throw new TypeError('Inputs must be arrays');
-  return arr1.filter(item => !arr2.includes(item));
+export const difference = (...arrays) => {
+  assertArrays(arrays);
+  return filterByKey(arrays, identity, false);
 }
 
 /**
- * Finds the union of two arrays.
- * @param {Array} arr1 - The first array.
- * @param {Array} arr2 - The second array.
+ * Finds the union of any number of arrays, without duplicates, in order of first appearance.
+ * @param {...Array} arrays - The arrays.
  * @returns {Array} The union array.
  * @example
  * union([1, 2, 3], [2, 3, 4]); // [1, 2, 3, 4]
+ * union([1], [2], [1, 3]); // [1, 2, 3]
+ */
+export const union = (...arrays) => {
+  assertArrays(arrays);
+  return unionByKey(arrays, identity);
+}
+
+/**
+ * Finds the items that are present in exactly one of the arrays, without duplicates.
+ * @param {...Array} arrays - The arrays.
+ * @returns {Array} The symmetric difference array.
+ * @example
+ * symmetricDifference([1, 2, 3], [2, 3, 4]); // [1, 4]
+ * symmetricDifference([1, 2], [2, 3], [3, 4]); // [1, 4]
+ */
+export const symmetricDifference = (...arrays) => {
+  assertArrays(arrays);
+  const counts = new Map();
+  arrays.forEach(arr => new Set(arr).forEach(item => counts.set(item, (counts.get(item) || 0) + 1)));
+  return [...counts.keys()].filter(item => counts.get(item) === 1);
+}
+
+/**
+ * Like intersection, but compares items by a key.
+ * @param {...Array} arrays - The arrays, followed by a dot-path or function that returns the key.
+ * @returns {Array} The items of the first array whose key is present in every other array.
+ * @example
+ * intersectionBy(ledger, bank, 'id'); // ledger rows that also appear in the bank export
+ * intersectionBy([1.2, 2.5], [1.9, 3.1], Math.floor); // [1.2]
  */
-export const union = (arr1, arr2) => {
-  if (!Array.isArray(arr1) || !Array.isArray(arr2)) throw new TypeError('Inputs must be arrays');
-  return [...new Set([...arr1, ...arr2])];
+export const intersectionBy = (...args) => {
+  const [arrays, getKey] = splitLast(args, 'iteratee');
+  return filterByKey(arrays, getKey, true);
 }
 
 /**
- * Zips multiple arrays together.
- * @param {...Array} arrays - The arrays to zip.
+ * Like difference, but compares items by a key.
+ * @param {...Array} arrays - The arrays, followed by a dot-path or function that returns the key.
+ * @returns {Array} The items of the first array whose key is not present in any other array.
+ * @example
+ * differenceBy(ledger, bank, 'id'); // ledger rows missing from the bank export
+ */
+export const differenceBy = (...args) => {
+  const [arrays, getKey] = splitLast(args, 'iteratee');
+  return filterByKey(arrays, getKey, false);
+}
+
+/**
+ * Like union, but compares items by a key. The first item with each key is kept.
+ * @param {...Array} arrays - The arrays, followed by a dot-path or function that returns the key.
+ * @returns {Array} The union array.
+ * @example
+ * unionBy([{ id: 1, v: 'a' }], [{ id: 1, v: 'b' }, { id: 2 }], 'id'); // [{ id: 1, v: 'a' }, { id: 2 }]
+ */
+export const unionBy = (...args) => {
+  const [arrays, getKey] = splitLast(args, 'iteratee');
+  return unionByKey(arrays, getKey);
+}
+
+/**
+ * Removes items whose key has already been seen, keeping the first occurrence.
+ * @param {Array} arr - The input array.
+ * @param {string|Function} iteratee - A dot-path or function that returns the key.
+ * @returns {Array} The array with duplicates removed.
+ * @example
+ * uniqueBy([{ id: 1, v: 'a' }, { id: 1, v: 'b' }], 'id'); // [{ id: 1, v: 'a' }]
+ */
+export const uniqueBy = (arr, iteratee) => unionBy(arr, iteratee);
+
+/**
+ * Like intersection, but compares items with a comparator. Runs in quadratic time.
+ * @param {...Array} arrays - The arrays, followed by a comparator (a, b) => boolean.
+ * @returns {Array} The items of the first array that match an item in every other array.
+ * @example
+ * intersectionWith([{ a: 1 }, { a: 2 }], [{ a: 1 }], isEqual); // [{ a: 1 }]
+ */
+export const intersectionWith = (...args) => {
+  const [[first = [], ...others], comparator] = splitLast(args, 'comparator');
+  return first.filter(item => others.every(arr => arr.some(other => comparator(item, other))));
+}
+
+/**
+ * Like difference, but compares items with a comparator. Runs in quadratic time.
+ * @param {...Array} arrays - The arrays, followed by a comparator (a, b) => boolean.
+ * @returns {Array} The items of the first array that match no item in the other arrays.
+ * @example
+ * differenceWith([{ a: 1 }, { a: 2 }], [{ a: 1 }], isEqual); // [{ a: 2 }]
+ */
+export const differenceWith = (...args) => {
+  const [[first = [], ...others], comparator] = splitLast(args, 'comparator');
+  return first.filter(item => !others.some(arr => arr.some(other => comparator(item, other))));
+}
+
+/**
+ * Like union, but compares items with a comparator. Runs in quadratic time.
+ * @param {...Array} arrays - The arrays, followed by a comparator (a, b) => boolean.
+ * @returns {Array} The union array.
+ * @example
+ * unionWith([{ a: 1 }], [{ a: 1 }, { a: 2 }], isEqual); // [{ a: 1 }, { a: 2 }]
+ */
+export const unionWith = (...args) => {
+  const [arrays, comparator] = splitLast(args, 'comparator');
+  return unionWithComparator(arrays, comparator);
+}
+
+/**
+ * Removes items that match an earlier item with a comparator, keeping the first occurrence.
+ * @param {Array} arr - The input array.
+ * @param {Function} comparator - A comparator (a, b) => boolean.
+ * @returns {Array} The array with duplicates removed.
+ * @example
+ * uniqueWith([{ a: 1 }, { a: 1 }, { a: 2 }], isEqual); // [{ a: 1 }, { a: 2 }]
+ */
+export const uniqueWith = (arr, comparator) => unionWith(arr, comparator);
+
+/**
+ * Zips multiple arrays (or any iterables) together, stopping at the shortest.
+ * @param {...Iterable} arrays - The arrays to zip.
  * @returns {Array} The zipped array.
  * @example
  * zip([1, 2], ['a', 'b'], [true, false]); // [[1, 'a', true], [2, 'b', false]]
  */
 export const zip = (...arrays) => {
   arrays.forEach(arr => {
-    if (!Array.isArray(arr)) throw new TypeError('All inputs must be arrays');
+    if (!isIterableObject(arr)) throw new TypeError('All inputs must be arrays');
   });
-  const minLength = Math.min(...arrays.map(arr => arr.length));
+  if (!arrays.length) return [];
+  // Iterators are read in lockstep so that infinite generators can be zipped with arrays.
+  const iterators = arrays.map(arr => arr[Symbol.iterator]());
   const result = [];
-  for (let i = 0; i < minLength; i++) {
-    result.push(arrays.map(arr => arr[i]));
+  try {
+    while (true) {
+      const tuple = [];
+      for (const iterator of iterators) {
+        const { value, done } = iterator.next();
+        if (done) return result;
+        tuple.push(value);
+      }
+      result.push(tuple);
+    }
+  } finally {
+    iterators.forEach(iterator => iterator.return && iterator.return());
   }
-  return result;
 }
 
 /**
@@ -277,29 +735,37 @@ export const remove = (arr, value) => {
 };
 
 /**
- * Takes first n elements from array
- * @param {Array} arr - The array
+ * Takes first n elements from array (or any iterable, reading no further)
+ * @param {Iterable} arr - The array
  * @param {number} n - Number of elements
  * @returns {Array} First n elements
  * @example
  * take([10, 21, 31, 41, 51], 4); // [10, 21, 31, 41]
  */
 export const take = (arr, n = 1) => {
-  if (!Array.isArray(arr)) return [];
-  return arr.slice(0, n);
+  if (!isIterableObject(arr)) return [];
+  if (Array.isArray(arr) || n < 0) return toArray(arr).slice(0, n);
+  const count = Math.trunc(n) || 0;
+  const result = [];
+  if (count === 0) return result;
+  for (const item of arr) {
+    result.push(item);
+    if (result.length >= count) break;
+  }
+  return result;
 };
 
 /**
- * Drops first n elements from array
- * @param {Array} arr - The array
+ * Drops first n elements from array (or any iterable)
+ * @param {Iterable} arr - The array
  * @param {number} n - Number of elements to drop
  * @returns {Array} Array without first n elements
  * @example
  * drop([1, 2, 3, 4, 5], 2); // [3, 4, 5]
  */
 export const drop = (arr, n = 1) => {
-  if (!Array.isArray(arr)) return [];
-  return arr.slice(n);
+  if (!isIterableObject(arr)) return [];
+  return toArray(arr).slice(n);
 };
 
 /**
@@ -0,0 +1,249 @@
+/**
+ * Async Utility Functions
+ * Callbacks receive (item, index, { signal }). The signal is aborted when the caller's
+ * signal aborts or, for fail-fast helpers, when another item fails, so in-flight work
+ * (e.g. fetch) can be cancelled.
+ * @module async
+ */
+
+import { chunk } from './arrayUtils.js';
+
+
+const BACKOFF_STRATEGIES = ['exponential', 'linear', 'fixed'];
+
+const isIterableObject = (value) =>
+  Array.isArray(value) || (value !== null && typeof value === 'object' && typeof value[Symbol.iterator] === 'function');
+
+const abortReason = (signal) => {
+  if (signal.reason !== undefined) return signal.reason;
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Uses AbortController where available, recording the abort reason on versions that
+// ignore it (before Node 17.2). Elsewhere (Node 14) a minimal signal stands in for it.
+const createController = () => {
+  if (typeof globalThis.AbortController === 'function') {
+    const controller = new globalThis.AbortController();
+    const { signal } = controller;
+    return {
+      signal,
+      abort: (reason) => {
+        if (!('reason' in signal)) Object.defineProperty(signal, 'reason', { value: reason, configurable: true });
+        controller.abort(reason);
+      }
+    };
+  }
+  const listeners = new Set();
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener: (type, listener) => {
+      if (type === 'abort') listeners.add(listener);
+    },
+    removeEventListener: (type, listener) => {
+      if (type === 'abort') listeners.delete(listener);
+    }
+  };
+  return {
+    signal,
+    abort: (reason) => {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      signal.reason = reason;
+      const event = { type: 'abort', target: signal };
+      listeners.forEach(listener => listener(event));
+      listeners.clear();
+    }
+  };
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(abortReason(signal));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortReason(signal));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Runs fn over the items with at most `concurrency` calls in flight, storing results by
+// index. Unless `settle` is set, the first error aborts the remaining work and rejects.
+const runPool = async (input, fn, options, settle = false) => {
+  if (!isIterableObject(input)) throw new TypeError('Input must be an array');
+  if (typeof fn !== 'function') throw new TypeError('Callback must be a function');
+  const { concurrency = Infinity, signal } = options;
+  if (concurrency !== Infinity && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw new RangeError('Concurrency must be a positive integer');
+  }
+  if (signal && signal.aborted) throw abortReason(signal);
+
+  const items = Array.from(input);
+  const results = new Array(items.length);
+  const controller = createController();
+  let stop;
+  const stopped = new Promise((_, reject) => {
+    stop = (reason) => {
+      controller.abort(reason);
+      reject(reason);
+    };
+  });
+  const onAbort = () => stop(abortReason(signal));
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !controller.signal.aborted) {
+      const index = next++;
+      try {
+        const value = await fn(items[index], index, { signal: controller.signal });
+        results[index] = settle ? { status: 'fulfilled', value } : value;
+      } catch (error) {
+        if (!settle) {
+          stop(error);
+          return;
+        }
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  try {
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+    await Promise.race([Promise.all(workers), stopped]);
+    return results;
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+};
+
+/**
+ * Maps over an array with an async function, running at most `concurrency` calls at a
+ * time. Results keep the input order. Rejects with the first error, aborting the rest.
+ * @param {Iterable} arr - The input array.
+ * @param {Function} fn - Async function called with (item, index, { signal }).
+ * @param {Object} [options] - Options.
+ * @param {number} [options.concurrency=Infinity] - Maximum calls in flight.
+ * @param {AbortSignal} [options.signal] - Cancels the remaining work.
+ * @returns {Promise<Array>} The results.
+ * @example
+ * await mapAsync(ids, id => fetchUser(id), { concurrency: 5 }); // users, in the order of ids
+ */
+export const mapAsync = (arr, fn, options = {}) => runPool(arr, fn, options);
+
+/**
+ * Filters an array with an async predicate, keeping the input order.
+ * @param {Iterable} arr - The input array.
+ * @param {Function} fn - Async predicate called with (item, index, { signal }).
+ * @param {Object} [options] - Options (see mapAsync).
+ * @returns {Promise<Array>} The items for which the predicate resolved truthy.
+ * @example
+ * await filterAsync(paths, path => fileExists(path), { concurrency: 10 });
+ */
+export const filterAsync = async (arr, fn, options = {}) => {
+  const items = isIterableObject(arr) ? Array.from(arr) : arr;
+  const keep = await runPool(items, fn, options);
+  return items.filter((_, index) => keep[index]);
+};
+
+/**
+ * Runs an async function for each item of an array.
+ * @param {Iterable} arr - The input array.
+ * @param {Function} fn - Async function called with (item, index, { signal }).
+ * @param {Object} [options] - Options (see mapAsync).
+ * @returns {Promise<void>} Resolves when every call has finished.
+ * @example
+ * await forEachAsync(users, user => sendEmail(user), { concurrency: 2 });
+ */
+export const forEachAsync = async (arr, fn, options = {}) => {
+  await runPool(arr, fn, options);
+};
+
+/**
+ * Maps over an array with an async function like mapAsync, but collects per-item errors
+ * instead of failing fast. Results match the shape of Promise.allSettled.
+ * @param {Iterable} arr - The input array.
+ * @param {Function} fn - Async function called with (item, index, { signal }).
+ * @param {Object} [options] - Options (see mapAsync).
+ * @returns {Promise<Array<{status: string, value: *, reason: *}>>} One outcome per item.
+ * @example
+ * await mapSettled(ids, id => fetchUser(id), { concurrency: 5 });
+ * // [{ status: 'fulfilled', value: {...} }, { status: 'rejected', reason: Error }, ...]
+ */
+export const mapSettled = (arr, fn, options = {}) => runPool(arr, fn, options, true);
+
+/**
+ * Splits an array into batches and calls an async function once per batch. Batches run
+ * one at a time unless a higher concurrency is given.
+ * @param {Iterable} arr - The input array.
+ * @param {number} size - The batch size.
+ * @param {Function} fn - Async function called with (batch, batchIndex, { signal }).
+ * @param {Object} [options] - Options (see mapAsync).
+ * @param {number} [options.concurrency=1] - Maximum batches in flight.
+ * @returns {Promise<Array>} One result per batch.
+ * @example
+ * await batchAsync(ids, 100, batch => api.lookup(batch)); // one request per 100 ids
+ */
+export const batchAsync = async (arr, size, fn, options = {}) =>
+  runPool(chunk(arr, size), fn, { concurrency: 1, ...options });
+
+/**
+ * Calls an async function until it succeeds, waiting between attempts.
+ * @param {Function} fn - Async function called with (attempt, { signal }); attempts start at 1.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.attempts=3] - Maximum number of attempts.
+ * @param {number} [options.delay=100] - Base delay in milliseconds.
+ * @param {string} [options.backoff='exponential'] - 'exponential' (delay * factor^(n-1)),
+ *   'linear' (delay * n) or 'fixed'.
+ * @param {number} [options.factor=2] - Growth factor for exponential backoff.
+ * @param {number} [options.maxDelay=Infinity] - Upper bound for a single delay.
+ * @param {boolean} [options.jitter=false] - Wait a random time between 0 and the delay
+ *   ("full jitter") so that many clients do not retry in lockstep.
+ * @param {Function} [options.random=Math.random] - Random source for jitter.
+ * @param {Function} [options.retryIf] - Called with (error, attempt); return false to stop retrying.
+ * @param {Function} [options.onRetry] - Called with (error, { attempt, delay }) before each wait.
+ * @param {AbortSignal} [options.signal] - Cancels the pending wait and further attempts.
+ * @returns {Promise<*>} The first successful result; rejects with the last error.
+ * @example
+ * await retry(() => fetchReport(id), { attempts: 5, backoff: 'exponential', jitter: true });
+ */
+export const retry = async (fn, options = {}) => {
+  if (typeof fn !== 'function') throw new TypeError('Callback must be a function');
+  const {
+    attempts = 3,
+    delay = 100,
+    backoff = 'exponential',
+    factor = 2,
+    maxDelay = Infinity,
+    jitter = false,
+    random = Math.random,
+    retryIf = () => true,
+    onRetry,
+    signal
+  } = options;
+  if (!Number.isInteger(attempts) || attempts < 1) throw new RangeError('Attempts must be a positive integer');
+  if (!BACKOFF_STRATEGIES.includes(backoff)) throw new RangeError(`Unknown backoff strategy: ${backoff}`);
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal && signal.aborted) throw abortReason(signal);
+    try {
+      return await fn(attempt, { signal });
+    } catch (error) {
+      if (attempt >= attempts || (signal && signal.aborted) || !(await retryIf(error, attempt))) throw error;
+      const base = backoff === 'exponential' ? delay * factor ** (attempt - 1)
+        : backoff === 'linear' ? delay * attempt
+          : delay;
+      const wait = jitter ? random() * Math.min(base, maxDelay) : Math.min(base, maxDelay);
+      if (onRetry) onRetry(error, { attempt, delay: wait });
+      await sleep(wait, signal);
+    }
+  }
+};
@@ -0,0 +1,341 @@
+/**
+ * Diff Utility Functions
+ * @module diff
+ */
+
+import { splitGraphemes } from './stringUtils.js';
+
+const EQUAL = 0;
+const REMOVED = 1;
+const ADDED = 2;
+
+const splitLines = (str) => str.match(/[^\n]*\n|[^\n]+$/g) || [];
+const splitWords = (str) => str.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+
+// Finds the middle snake of the shortest edit script between a[aLo, aHi) and
+// b[bLo, bHi) in linear space (Myers 1986, section 4b). Returns the split point.
+const bisect = (a, aLo, aHi, b, bLo, bHi) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const size = 2 * maxD + 2;
+  const forward = new Int32Array(size).fill(-1);
+  const backward = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  let kStartF = 0, kEndF = 0, kStartB = 0, kEndB = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + kStartF; k <= d - kEndF; k += 2) {
+      const i = offset + k;
+      let x = k === -d || (k !== d && forward[i - 1] < forward[i + 1]) ? forward[i + 1] : forward[i - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) { x++; y++; }
+      forward[i] = x;
+      if (x > n) kEndF += 2;
+      else if (y > m) kStartF += 2;
+      else if (odd) {
+        const j = offset + delta - k;
+        if (j >= 0 && j < size && backward[j] !== -1 && x >= n - backward[j]) return [aLo + x, bLo + y];
+      }
+    }
+
+    for (let k = -d + kStartB; k <= d - kEndB; k += 2) {
+      const i = offset + k;
+      let x = k === -d || (k !== d && backward[i - 1] < backward[i + 1]) ? backward[i + 1] : backward[i - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) { x++; y++; }
+      backward[i] = x;
+      if (x > n) kEndB += 2;
+      else if (y > m) kStartB += 2;
+      else if (!odd) {
+        const j = offset + delta - k;
+        if (j >= 0 && j < size && forward[j] !== -1) {
+          const xf = forward[j];
+          if (xf >= n - x) return [aLo + xf, bLo + xf - (j - offset)];
+        }
+      }
+    }
+  }
+  return null;
+};
+
+// Computes the edit script between two token arrays as [type, count] runs.
+const diffTokens = (oldTokens, newTokens) => {
+  // Compare integer ids instead of strings.
+  const ids = new Map();
+  const toIds = tokens => Int32Array.from(tokens, token => {
+    if (!ids.has(token)) ids.set(token, ids.size);
+    return ids.get(token);
+  });
+  const a = toIds(oldTokens);
+  const b = toIds(newTokens);
+
+  const ops = [];
+  const push = (type, count) => {
+    if (!count) return;
+    const last = ops[ops.length - 1];
+    if (last && last[0] === type) last[1] += count;
+    else ops.push([type, count]);
+  };
+
+  const compare = (aLo, aHi, bLo, bHi) => {
+    let prefix = 0;
+    while (aLo + prefix < aHi && bLo + prefix < bHi && a[aLo + prefix] === b[bLo + prefix]) prefix++;
+    push(EQUAL, prefix);
+    aLo += prefix;
+    bLo += prefix;
+    let suffix = 0;
+    while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) suffix++;
+    aHi -= suffix;
+    bHi -= suffix;
+
+    const split = aLo < aHi && bLo < bHi ? bisect(a, aLo, aHi, b, bLo, bHi) : null;
+    if (split) {
+      compare(aLo, split[0], bLo, split[1]);
+      compare(split[0], aHi, split[1], bHi);
+    } else {
+      push(REMOVED, aHi - aLo);
+      push(ADDED, bHi - bLo);
+    }
+    push(EQUAL, suffix);
+  };
+  compare(0, a.length, 0, b.length);
+  return ops;
+};
+
+// Turns an edit script into segments, listing removals before additions within each change.
+const toSegments = (ops, oldTokens, newTokens) => {
+  const segments = [];
+  let aPos = 0;
+  let bPos = 0;
+  let removed = 0;
+  let added = 0;
+  const flush = () => {
+    if (removed) segments.push({ type: 'removed', value: oldTokens.slice(aPos - removed, aPos).join(''), count: removed });
+    if (added) segments.push({ type: 'added', value: newTokens.slice(bPos - added, bPos).join(''), count: added });
+    removed = added = 0;
+  };
+  ops.forEach(([type, count]) => {
+    if (type === EQUAL) {
+      flush();
+      segments.push({ type: 'equal', value: oldTokens.slice(aPos, aPos + count).join(''), count });
+      aPos += count;
+      bPos += count;
+    } else if (type === REMOVED) {
+      removed += count;
+      aPos += count;
+    } else {
+      added += count;
+      bPos += count;
+    }
+  });
+  flush();
+  return segments;
+};
+
+const diffWith = (split) => (oldStr, newStr) => {
+  if (typeof oldStr !== 'string' || typeof newStr !== 'string') throw new TypeError('Inputs must be strings');
+  const oldTokens = split(oldStr);
+  const newTokens = split(newStr);
+  return toSegments(diffTokens(oldTokens, newTokens), oldTokens, newTokens);
+};
+
+/**
+ * Compares two strings line by line.
+ * @param {string} oldStr - The original text.
+ * @param {string} newStr - The changed text.
+ * @returns {Array<{type: string, value: string, count: number}>} Segments of type
+ *   'equal', 'removed' or 'added'; `count` is the number of lines.
+ * @example
+ * diffLines('a\nb\nc\n', 'a\nB\nc\n');
+ * // [{ type: 'equal', value: 'a\n', count: 1 }, { type: 'removed', value: 'b\n', count: 1 },
+ * //  { type: 'added', value: 'B\n', count: 1 }, { type: 'equal', value: 'c\n', count: 1 }]
+ */
+export const diffLines = diffWith(splitLines);
+
+/**
+ * Compares two strings word by word. Whitespace runs and punctuation are separate tokens.
+ * @param {string} oldStr - The original text.
+ * @param {string} newStr - The changed text.
+ * @returns {Array<{type: string, value: string, count: number}>} Segments of type
+ *   'equal', 'removed' or 'added'; `count` is the number of tokens.
+ * @example
+ * diffWords('the quick fox', 'the slow fox');
+ * // [{ type: 'equal', value: 'the ', count: 2 }, { type: 'removed', value: 'quick', count: 1 },
+ * //  { type: 'added', value: 'slow', count: 1 }, { type: 'equal', value: ' fox', count: 2 }]
+ */
+export const diffWords = diffWith(splitWords);
+
+/**
+ * Compares two strings character by character (grapheme clusters).
+ * @param {string} oldStr - The original text.
+ * @param {string} newStr - The changed text.
+ * @returns {Array<{type: string, value: string, count: number}>} Segments of type
+ *   'equal', 'removed' or 'added'; `count` is the number of characters.
+ * @example
+ * diffChars('cat', 'cut');
+ * // [{ type: 'equal', value: 'c', count: 1 }, { type: 'removed', value: 'a', count: 1 },
+ * //  { type: 'added', value: 'u', count: 1 }, { type: 'equal', value: 't', count: 1 }]
+ */
+export const diffChars = diffWith(splitGraphemes);
+
+const NO_NEWLINE = '\\ No newline at end of file';
+
+const hunkRange = (start, count) => (count === 1 ? `${start}` : `${count ? start : start - 1},${count}`);
+
+/**
+ * Creates a unified diff of two strings.
+ * @param {string} oldStr - The original text.
+ * @param {string} newStr - The changed text.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.context=3] - Number of unchanged lines around each change.
+ * @param {string} [options.oldName='a'] - Name on the `---` line.
+ * @param {string} [options.newName='b'] - Name on the `+++` line.
+ * @returns {string} The patch.
+ * @example
+ * createPatch('a\nb\nc\n', 'a\nB\nc\n', { context: 1 });
+ * // '--- a\n+++ b\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n'
+ */
+export const createPatch = (oldStr, newStr, options = {}) => {
+  const { context = 3, oldName = 'a', newName = 'b' } = options;
+  if (typeof context !== 'number' || context < 0) throw new RangeError('Context must be a non-negative number');
+
+  // One row per line, with the number of old and new lines before it.
+  const rows = [];
+  let oldLine = 0;
+  let newLine = 0;
+  diffLines(oldStr, newStr).forEach(segment => {
+    const prefix = segment.type === 'equal' ? ' ' : segment.type === 'removed' ? '-' : '+';
+    splitLines(segment.value).forEach(line => {
+      rows.push({ prefix, line, oldLine, newLine });
+      if (prefix !== '+') oldLine++;
+      if (prefix !== '-') newLine++;
+    });
+  });
+
+  // Merge the context windows around changed rows into hunks.
+  const ranges = [];
+  rows.forEach((row, i) => {
+    if (row.prefix === ' ') return;
+    const start = Math.max(0, i - context);
+    const end = Math.min(rows.length, i + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last[1]) last[1] = end;
+    else ranges.push([start, end]);
+  });
+
+  const lines = [`--- ${oldName}`, `+++ ${newName}`];
+  ranges.forEach(([start, end]) => {
+    const hunk = rows.slice(start, end);
+    const oldCount = hunk.filter(row => row.prefix !== '+').length;
+    const newCount = hunk.filter(row => row.prefix !== '-').length;
+    lines.push(`@@ -${hunkRange(hunk[0].oldLine + 1, oldCount)} +${hunkRange(hunk[0].newLine + 1, newCount)} @@`);
+    hunk.forEach(({ prefix, line }) => {
+      const hasNewline = line.endsWith('\n');
+      lines.push(prefix + (hasNewline ? line.slice(0, -1) : line));
+      if (!hasNewline) lines.push(NO_NEWLINE);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Parses the hunks of a unified diff.
+const parsePatch = (patch) => {
+  const lines = patch.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  const hunks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(lines[i]);
+    i++;
+    if (!header) continue;
+
+    const hunk = {
+      header: lines[i - 1],
+      oldStart: Number(header[1]),
+      oldCount: header[2] === undefined ? 1 : Number(header[2]),
+      newStart: Number(header[3]),
+      newCount: header[4] === undefined ? 1 : Number(header[4]),
+      lines: []
+    };
+    let oldSeen = 0;
+    let newSeen = 0;
+    while (i < lines.length && (oldSeen < hunk.oldCount || newSeen < hunk.newCount || lines[i] === NO_NEWLINE)) {
+      const line = lines[i];
+      if (line === NO_NEWLINE) {
+        const last = hunk.lines[hunk.lines.length - 1];
+        if (!last) throw new SyntaxError(`Unexpected "${NO_NEWLINE}" in hunk ${hunk.header}`);
+        last.text = last.text.slice(0, -1);
+      } else {
+        // Some editors strip the single space from empty context lines.
+        const prefix = line === '' ? ' ' : line[0];
+        if (prefix !== ' ' && prefix !== '-' && prefix !== '+') {
+          throw new SyntaxError(`Invalid line in hunk ${hunk.header}: "${line}"`);
+        }
+        hunk.lines.push({ prefix, text: `${line.slice(1)}\n` });
+        if (prefix !== '+') oldSeen++;
+        if (prefix !== '-') newSeen++;
+      }
+      i++;
+    }
+    if (oldSeen !== hunk.oldCount || newSeen !== hunk.newCount) {
+      throw new SyntaxError(`Hunk ${hunk.header} has the wrong number of lines`);
+    }
+    hunks.push(hunk);
+  }
+  return hunks;
+};
+
+const matchesAt = (lines, expected, index) =>
+  index >= 0 && index + expected.length <= lines.length && expected.every((line, i) => lines[index + i] === line);
+
+/**
+ * Applies a unified diff to a string.
+ * Hunks are matched exactly; a hunk whose lines moved is found by searching
+ * outward from its expected position. Throws an Error describing the first
+ * hunk that does not apply.
+ * @param {string} str - The text to patch.
+ * @param {string} patch - The unified diff, e.g. from createPatch.
+ * @returns {string} The patched text.
+ * @example
+ * applyPatch('a\nb\nc\n', '--- a\n+++ b\n@@ -2 +2 @@\n-b\n+B\n'); // 'a\nB\nc\n'
+ */
+export const applyPatch = (str, patch) => {
+  if (typeof str !== 'string' || typeof patch !== 'string') throw new TypeError('Inputs must be strings');
+  const lines = splitLines(str);
+  const hunks = parsePatch(patch);
+  if (!hunks.length && patch.trim() && !/^(?:---|\+\+\+) /m.test(patch)) throw new SyntaxError('Patch contains no hunks');
+
+  let shift = 0;
+  let minIndex = 0;
+  hunks.forEach((hunk, number) => {
+    const expected = hunk.lines.filter(line => line.prefix !== '+').map(line => line.text);
+    const replacement = hunk.lines.filter(line => line.prefix !== '-').map(line => line.text);
+    const target = (hunk.oldCount ? hunk.oldStart - 1 : hunk.oldStart) + shift;
+
+    let index = -1;
+    for (let distance = 0; index === -1 && (target - distance >= minIndex || target + distance <= lines.length); distance++) {
+      if (target - distance >= minIndex && matchesAt(lines, expected, target - distance)) index = target - distance;
+      else if (distance && matchesAt(lines, expected, target + distance)) index = target + distance;
+    }
+    if (index === -1) {
+      const mismatch = expected.findIndex((line, i) => lines[target + i] !== line);
+      // The lines only match where an earlier hunk has already been applied.
+      if (mismatch === -1) throw new Error(`Hunk ${number + 1} (${hunk.header}) does not apply: it overlaps the previous hunk`);
+      const found = lines[target + mismatch];
+      throw new Error(
+        `Hunk ${number + 1} (${hunk.header}) does not apply: expected line ${target + mismatch + 1} to be ` +
+        `${JSON.stringify(expected[mismatch])}, found ${found === undefined ? 'end of text' : JSON.stringify(found)}`
+      );
+    }
+
+    lines.splice(index, expected.length, ...replacement);
+    shift += index - target + replacement.length - expected.length;
+    minIndex = index + replacement.length;
+  });
+  return lines.join('');
+}
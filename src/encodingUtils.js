@@ -0,0 +1,231 @@
+/**
+ * Encoding Utility Functions
+ * Strings are encoded as UTF-8. Functions that take input accept a string or a Uint8Array.
+ * @module encoding
+ */
+
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+const toBytes = (input) => {
+  if (input instanceof Uint8Array) return input;
+  if (typeof input === 'string') return new TextEncoder().encode(input);
+  throw new TypeError('Input must be a string or Uint8Array');
+};
+
+const decodeBytes = (bytes, as) => {
+  if (as === 'bytes') return bytes;
+  if (as === 'string') return new TextDecoder().decode(bytes);
+  throw new RangeError(`Unknown output type: ${as}`);
+};
+
+const encodeBase64 = (input, alphabet, pad) => {
+  const bytes = toBytes(input);
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const chars = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+    for (let j = 0; j < chars; j++) out += alphabet[(chunk >> (18 - 6 * j)) & 63];
+  }
+  return pad ? out.padEnd(Math.ceil(out.length / 4) * 4, '=') : out;
+};
+
+const decodeBase64 = (str, alphabet, as) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const clean = str.replace(/\s+/g, '').replace(/={1,2}$/, '');
+  const lookup = new Map(Array.from(alphabet, (char, i) => [char, i]));
+  if (clean.length % 4 === 1 || Array.from(clean).some(char => !lookup.has(char))) {
+    throw new SyntaxError('Invalid base64 input');
+  }
+
+  const bytes = new Uint8Array(Math.floor((clean.length * 6) / 8));
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+  for (const char of clean) {
+    buffer = (buffer << 6) | lookup.get(char);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return decodeBytes(bytes, as);
+};
+
+/**
+ * Encodes a string (as UTF-8) or bytes as base64.
+ * @param {string|Uint8Array} input - The input.
+ * @returns {string} The base64 string.
+ * @example
+ * toBase64('héllo ✓'); // 'aMOpbGxvIOKckw=='
+ */
+export const toBase64 = (input) => encodeBase64(input, BASE64_ALPHABET, true);
+
+/**
+ * Decodes base64. Whitespace and missing padding are accepted.
+ * @param {string} str - The base64 string.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.as='string'] - 'string' to decode the bytes as UTF-8, or 'bytes'.
+ * @returns {string|Uint8Array} The decoded value.
+ * @example
+ * fromBase64('aMOpbGxvIOKckw=='); // 'héllo ✓'
+ */
+export const fromBase64 = (str, options = {}) => decodeBase64(str, BASE64_ALPHABET, options.as || 'string');
+
+/**
+ * Encodes a string (as UTF-8) or bytes as unpadded URL-safe base64 (RFC 4648 §5).
+ * @param {string|Uint8Array} input - The input.
+ * @returns {string} The base64url string.
+ * @example
+ * toBase64Url('subjects?_d'); // 'c3ViamVjdHM_X2Q'
+ */
+export const toBase64Url = (input) => encodeBase64(input, BASE64URL_ALPHABET, false);
+
+/**
+ * Decodes URL-safe base64, with or without padding.
+ * @param {string} str - The base64url string.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.as='string'] - 'string' to decode the bytes as UTF-8, or 'bytes'.
+ * @returns {string|Uint8Array} The decoded value.
+ * @example
+ * fromBase64Url('c3ViamVjdHM_X2Q'); // 'subjects?_d'
+ */
+export const fromBase64Url = (str, options = {}) => decodeBase64(str, BASE64URL_ALPHABET, options.as || 'string');
+
+/**
+ * Encodes a string (as UTF-8) or bytes as lowercase hex.
+ * @param {string|Uint8Array} input - The input.
+ * @returns {string} The hex string.
+ * @example
+ * toHex('hi!'); // '686921'
+ */
+export const toHex = (input) => Array.from(toBytes(input), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Decodes a hex string (either case).
+ * @param {string} hex - The hex string.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.as='string'] - 'string' to decode the bytes as UTF-8, or 'bytes'.
+ * @returns {string|Uint8Array} The decoded value.
+ * @example
+ * fromHex('686921'); // 'hi!'
+ * fromHex('ff00', { as: 'bytes' }); // Uint8Array [255, 0]
+ */
+export const fromHex = (hex, options = {}) => {
+  if (typeof hex !== 'string') throw new TypeError('Input must be a string');
+  if (hex.length % 2 !== 0 || !/^[\da-f]*$/i.test(hex)) throw new SyntaxError('Invalid hex input');
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  return decodeBytes(bytes, options.as || 'string');
+};
+
+/**
+ * Counts the bytes a string takes up in UTF-8, without encoding it.
+ * @param {string} str - The input string.
+ * @returns {number} The number of bytes.
+ * @example
+ * utf8ByteLength('héllo'); // 6
+ * utf8ByteLength('👍'); // 4
+ */
+export const utf8ByteLength = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  let bytes = 0;
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    if (code < 0x80) bytes += 1;
+    else if (code < 0x800) bytes += 2;
+    else if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length &&
+      str.charCodeAt(i + 1) >= 0xdc00 && str.charCodeAt(i + 1) <= 0xdfff) {
+      bytes += 4;
+      i++;
+    } else bytes += 3;
+  }
+  return bytes;
+};
+
+/**
+ * Computes the 32-bit FNV-1a hash. Not suitable for security purposes.
+ * @param {string|Uint8Array} input - The input.
+ * @returns {number} The hash as an unsigned 32-bit integer.
+ * @example
+ * fnv1a('hello'); // 1335831723
+ * fnv1a('hello').toString(16); // '4f9f2cab'
+ */
+export const fnv1a = (input) => {
+  let hash = 0x811c9dc5;
+  for (const byte of toBytes(input)) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Computes the 32-bit MurmurHash3 (x86) hash. Not suitable for security purposes.
+ * @param {string|Uint8Array} input - The input.
+ * @param {number} [seed=0] - The seed.
+ * @returns {number} The hash as an unsigned 32-bit integer.
+ * @example
+ * murmur3('hello'); // 613153351
+ * murmur3('user-42', 7) % 100; // a stable A/B bucket between 0 and 99
+ */
+export const murmur3 = (input, seed = 0) => {
+  const bytes = toBytes(input);
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const blocks = bytes.length - (bytes.length % 4);
+  let hash = seed >>> 0;
+
+  for (let i = 0; i < blocks; i += 4) {
+    let k = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    hash ^= Math.imul(k, c2);
+    hash = (hash << 13) | (hash >>> 19);
+    hash = (Math.imul(hash, 5) + 0xe6546b64) | 0;
+  }
+
+  let k = 0;
+  switch (bytes.length % 4) {
+    case 3: k ^= bytes[blocks + 2] << 16; // falls through
+    case 2: k ^= bytes[blocks + 1] << 8; // falls through
+    case 1:
+      k ^= bytes[blocks];
+      k = Math.imul(k, c1);
+      k = (k << 15) | (k >>> 17);
+      hash ^= Math.imul(k, c2);
+  }
+
+  hash ^= bytes.length;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+let crcTable;
+
+/**
+ * Computes the CRC-32 checksum (IEEE 802.3, as used by zip and PNG).
+ * @param {string|Uint8Array} input - The input.
+ * @returns {number} The checksum as an unsigned 32-bit integer.
+ * @example
+ * crc32('The quick brown fox jumps over the lazy dog'); // 1095738169
+ */
+export const crc32 = (input) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of toBytes(input)) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
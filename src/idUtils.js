@@ -0,0 +1,199 @@
+/**
+ * ID Utility Functions
+ * Randomness comes from crypto.getRandomValues (or Node's crypto.randomFillSync where
+ * there is no global crypto, as in ES modules before Node 19) unless a `random` option is
+ * given: a function returning a float in [0, 1), such as Math.random or a seeded generator.
+ * @module id
+ */
+
+import { createRequire } from 'module';
+import { toHex } from './encodingUtils.js';
+import { validateUlid, validateUuid } from './validationUtils.js';
+
+
+const URL_ALPHABET = 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict';
+const ALPHANUMERIC = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const MAX_TIMESTAMP = 2 ** 48 - 1;
+
+let nodeCrypto;
+
+// Node's crypto module is only loaded, synchronously, when there is no global crypto.
+const fillRandom = (buffer) => {
+  if (globalThis.crypto && typeof globalThis.crypto.getRandomValues === 'function') {
+    return globalThis.crypto.getRandomValues(buffer);
+  }
+  if (!nodeCrypto) nodeCrypto = createRequire(import.meta.url)('crypto');
+  return nodeCrypto.randomFillSync(buffer);
+};
+
+const randomIndexes = (count, size, random) => {
+  if (random !== undefined) {
+    if (typeof random !== 'function') throw new TypeError('random must be a function');
+    return Array.from({ length: count }, () => Math.floor(random() * size));
+  }
+  // Values at or above `limit` are rejected so that `value % size` stays unbiased.
+  const limit = 2 ** 32 - (2 ** 32 % size);
+  const buffer = new Uint32Array(Math.min(count, 16384));
+  const indexes = [];
+  while (indexes.length < count) {
+    fillRandom(buffer);
+    for (const value of buffer) {
+      if (value < limit && indexes.length < count) indexes.push(value % size);
+    }
+  }
+  return indexes;
+};
+
+const randomBigInt = (bits, random) => randomIndexes(Math.ceil(bits / 8), 256, random)
+  .reduce((value, byte) => (value << 8n) | BigInt(byte), 0n) & ((1n << BigInt(bits)) - 1n);
+
+const randomChars = (length, charset, random) => {
+  if (!Number.isInteger(length) || length < 0) throw new RangeError('Length must be a non-negative integer');
+  if (typeof charset !== 'string') throw new TypeError('Charset must be a string');
+  const chars = Array.from(charset);
+  if (!chars.length) throw new RangeError('Charset must not be empty');
+  return randomIndexes(length, chars.length, random).map(index => chars[index]).join('');
+};
+
+const lastTimeBased = {};
+
+// IDs made in the same millisecond as the previous one (or while the system clock
+// steps backwards) reuse its timestamp and increment its random part, so they sort
+// in creation order. On overflow the timestamp moves forward by one millisecond.
+const nextTimeBased = (kind, bits, options) => {
+  const { now, random } = options;
+  let time = now === undefined ? Date.now() : now;
+  if (!Number.isInteger(time) || time < 0 || time > MAX_TIMESTAMP) {
+    throw new RangeError('Timestamp must be an integer between 0 and 2^48 - 1');
+  }
+
+  const last = lastTimeBased[kind];
+  let value;
+  if (last && (time === last.time || (now === undefined && time < last.time))) {
+    time = last.time;
+    value = last.value + 1n;
+    if (value >> BigInt(bits)) {
+      time += 1;
+      value = randomBigInt(bits, random);
+    }
+  } else {
+    value = randomBigInt(bits, random);
+  }
+  lastTimeBased[kind] = { time, value };
+  return { time, value };
+};
+
+const encodeCrockford = (value, length) => {
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    out = CROCKFORD_BASE32[Number(value & 31n)] + out;
+    value >>= 5n;
+  }
+  return out;
+};
+
+const formatUuid = (hex) => [
+  hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)
+].join('-');
+
+/**
+ * Generates a random (version 4) UUID.
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random] - Random source returning a float in [0, 1).
+ * @returns {string} The UUID.
+ * @example
+ * uuidv4(); // '9b2c1a4e-6f3d-4c2b-9a1e-3f5d7c9b1a2e'
+ */
+export const uuidv4 = (options = {}) => {
+  const bytes = Uint8Array.from(randomIndexes(16, 256, options.random));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  return formatUuid(toHex(bytes));
+};
+
+/**
+ * Generates a time-ordered (version 7) UUID: a 48-bit millisecond timestamp followed
+ * by 74 random bits. IDs made in the same millisecond stay in creation order.
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random] - Random source returning a float in [0, 1).
+ * @param {number} [options.now=Date.now()] - The timestamp in milliseconds.
+ * @returns {string} The UUID.
+ * @example
+ * uuidv7(); // '01928f5e-7c3a-7b21-9f4d-2a6c8e0b1d3f'
+ */
+export const uuidv7 = (options = {}) => {
+  const { time, value } = nextTimeBased('uuidv7', 74, options);
+  const randA = value >> 62n;
+  const randB = value & ((1n << 62n) - 1n);
+  return formatUuid(
+    time.toString(16).padStart(12, '0') +
+    '7' + randA.toString(16).padStart(3, '0') +
+    ((2n << 62n) | randB).toString(16)
+  );
+};
+
+/**
+ * Generates a ULID: a 26-character, lexicographically sortable ID made of a 48-bit
+ * millisecond timestamp and 80 random bits in Crockford base32. IDs made in the same
+ * millisecond stay in creation order.
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random] - Random source returning a float in [0, 1).
+ * @param {number} [options.now=Date.now()] - The timestamp in milliseconds.
+ * @returns {string} The ULID.
+ * @example
+ * ulid(); // '01JAHZ6Q3M8W2X5K9RTB7C4D0E'
+ */
+export const ulid = (options = {}) => {
+  const { time, value } = nextTimeBased('ulid', 80, options);
+  return encodeCrockford(BigInt(time), 10) + encodeCrockford(value, 16);
+};
+
+/**
+ * Generates a compact, URL-safe random ID.
+ * @param {number} [size=21] - The number of characters.
+ * @param {string} [alphabet] - The characters to use (defaults to A-Z, a-z, 0-9, `_` and `-`).
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random] - Random source returning a float in [0, 1).
+ * @returns {string} The ID.
+ * @example
+ * nanoid(); // 'V1StGXR8_Z5jdHi6B-myT'
+ * nanoid(8, '0123456789abcdef'); // '4f90d13a'
+ */
+export const nanoid = (size = 21, alphabet = URL_ALPHABET, options = {}) =>
+  randomChars(size, alphabet, options.random);
+
+/**
+ * Generates a random string from a set of characters.
+ * @param {number} length - The number of characters.
+ * @param {string} [charset] - The characters to use (defaults to A-Z, a-z and 0-9).
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random] - Random source returning a float in [0, 1).
+ * @returns {string} The random string.
+ * @example
+ * randomString(12); // 'aZ3kP9qLm2Xw'
+ * randomString(6, '0123456789'); // '402918'
+ */
+export const randomString = (length, charset = ALPHANUMERIC, options = {}) =>
+  randomChars(length, charset, options.random);
+
+/**
+ * Reads the creation time back from a ULID or a version 7 UUID.
+ * @param {string} id - The ID.
+ * @returns {Date} The time the ID was made.
+ * @example
+ * getIdTimestamp('01ARZ3NDEKTSV4RRFFQ69G5FAV'); // 2016-07-30T23:54:10.259Z
+ * getIdTimestamp(uuidv7({ now: 0 })).getTime(); // 0
+ */
+export const getIdTimestamp = (id) => {
+  if (typeof id !== 'string') throw new TypeError('Input must be a string');
+  if (validateUlid(id).valid) {
+    const time = Array.from(id.slice(0, 10).toUpperCase())
+      .reduce((value, char) => value * 32 + CROCKFORD_BASE32.indexOf(char), 0);
+    return new Date(time);
+  }
+  if (validateUuid(id, { version: 7 }).valid) {
+    return new Date(parseInt(id.replace(/-/g, '').slice(0, 12), 16));
+  }
+  throw new SyntaxError('Value is not a ULID or a version 7 UUID');
+};
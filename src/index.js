@@ -5,4 +5,28 @@ export * from './stringUtils.js';
 export * from './arrayUtils.js';
 
 // Object utilities
-export * from './objectUtils.js';
\ No newline at end of file
+export * from './objectUtils.js';
+
+// Inflection utilities
+export * from './inflectionUtils.js';
+
+// Validation utilities
+export * from './validationUtils.js';
+
+// Diff utilities
+export * from './diffUtils.js';
+
+// Encoding utilities
+export * from './encodingUtils.js';
+
+// ID utilities
+export * from './idUtils.js';
+
+// Random utilities
+export * from './randomUtils.js';
+
+// Sequence utilities
+export * from './seqUtils.js';
+
+// Async utilities
+export * from './asyncUtils.js';
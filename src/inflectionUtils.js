@@ -0,0 +1,282 @@
+/**
+ * Inflection Utility Functions
+ * @module inflection
+ */
+
+
+// Rules are checked from last to first, so later (more specific) rules win.
+const DEFAULT_PLURAL_RULES = [
+  [/$/, 's'],
+  [/(s|x|z|ch|sh)$/i, '$1es'],
+  [/([^aeiou])y$/i, '$1ies'],
+  [/(her|potat|tomat|ech|torped|vet)o$/i, '$1oes'],
+  [/(kni|wi|li)fe$/i, '$1ves'],
+  [/([lr])f$/i, '$1ves'],
+  [/(lea|loa|thie|shea)f$/i, '$1ves'],
+  [/(s|x)is$/i, '$1es'],
+  [/(octop|cact|fung|radi|stimul|syllab|alumn|nucle|foc)us$/i, '$1i'],
+  [/(matr)ix$/i, '$1ices'],
+  [/(vert|ind|append)ex$/i, '$1ices'],
+  [/(criteri|phenomen)on$/i, '$1a'],
+  [/(dat|medi|bacteri|curricul|memorand)um$/i, '$1a'],
+  [/^([ml])ouse$/i, '$1ice'],
+  [/(quiz)$/i, '$1zes']
+];
+
+const DEFAULT_SINGULAR_RULES = [
+  [/s$/i, ''],
+  [/(ss|us|is)$/i, '$1'],
+  // Singular words ending in -as or -ens, which would otherwise lose their 's'.
+  [/^(alias|atlas|bias|canvas|gas|lens)$/i, '$1'],
+  [/(ss|x|z|ch|sh)es$/i, '$1'],
+  [/^(alias|atlas|bias|canvas|gas|lens|iris|status|bus|virus|campus|bonus|census)es$/i, '$1'],
+  [/([^aeiou])ies$/i, '$1y'],
+  [/(her|potat|tomat|ech|torped|vet)oes$/i, '$1o'],
+  [/([lr])ves$/i, '$1f'],
+  [/(kni|wi|li)ves$/i, '$1fe'],
+  [/(lea|loa|thie|shea)ves$/i, '$1f'],
+  [/(analy|ba|diagno|parenthe|progno|synop|the|cri|hypothe|oa|empha)ses$/i, '$1sis'],
+  [/^(ax|test)es$/i, '$1is'],
+  [/(octop|cact|fung|radi|stimul|syllab|alumn|nucle|foc)i$/i, '$1us'],
+  [/(matr)ices$/i, '$1ix'],
+  [/(vert|ind|append)ices$/i, '$1ex'],
+  [/(criteri|phenomen)a$/i, '$1on'],
+  [/(dat|medi|bacteri|curricul|memorand)a$/i, '$1um'],
+  [/^([ml])ice$/i, '$1ouse'],
+  [/(quiz)zes$/i, '$1']
+];
+
+const DEFAULT_IRREGULARS = [
+  ['person', 'people'], ['man', 'men'], ['woman', 'women'], ['child', 'children'],
+  ['tooth', 'teeth'], ['foot', 'feet'], ['goose', 'geese'], ['ox', 'oxen'],
+  ['die', 'dice'], ['movie', 'movies'], ['cookie', 'cookies'], ['zombie', 'zombies'],
+  ['this', 'these'], ['that', 'those']
+];
+
+const DEFAULT_UNCOUNTABLES = [
+  'advice', 'aircraft', 'bison', 'deer', 'equipment', 'evidence', 'feedback', 'fish',
+  'furniture', 'homework', 'information', 'knowledge', 'luggage', 'means', 'metadata',
+  'money', 'moose', 'music', 'news', 'police', 'rice', 'series', 'sheep', 'software',
+  'species', 'staff', 'traffic', 'weather'
+];
+
+// The add*Rule functions change these; resetInflections restores the defaults.
+const pluralRules = [...DEFAULT_PLURAL_RULES];
+const singularRules = [...DEFAULT_SINGULAR_RULES];
+const irregularPlurals = new Map(DEFAULT_IRREGULARS);
+const irregularSingulars = new Map(DEFAULT_IRREGULARS.map(([single, plural]) => [plural, single]));
+const uncountables = new Set(DEFAULT_UNCOUNTABLES);
+const uncountablePatterns = [];
+
+const ORDINAL_SUFFIXES = {
+  en: { one: 'st', two: 'nd', few: 'rd', other: 'th' },
+  fr: { one: 'er', other: 'e' },
+  es: { other: 'º' },
+  it: { other: 'º' },
+  pt: { other: 'º' },
+  de: { other: '.' },
+  nl: { other: 'e' },
+  sv: { one: ':a', other: ':e' }
+};
+
+// Applies the case pattern of the original word to its inflected form.
+const restoreCase = (original, inflected) => {
+  if (original === original.toLowerCase()) return inflected;
+  if (original === original.toUpperCase()) return inflected.toUpperCase();
+  if (original.slice(1) === original.slice(1).toLowerCase()) {
+    return inflected.charAt(0).toUpperCase() + inflected.slice(1);
+  }
+  return Array.from(inflected, (char, i) =>
+    original[i] && original[i].toLowerCase() === char ? original[i] : char
+  ).join('');
+};
+
+const isUncountable = (word) =>
+  uncountables.has(word) || uncountablePatterns.some(pattern => pattern.test(word));
+
+// Inflects the last word of a phrase, leaving the rest as it is.
+const inflect = (str, irregulars, rules) => {
+  const match = /([\p{L}']+)$/u.exec(str);
+  if (!match) return str;
+  const original = match[1];
+  const word = original.toLowerCase();
+  const prefix = str.slice(0, match.index);
+
+  if (isUncountable(word)) return str;
+  if (irregulars.has(word)) return prefix + restoreCase(original, irregulars.get(word));
+
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const [pattern, replacement] = rules[i];
+    if (pattern.test(word)) return prefix + restoreCase(original, word.replace(pattern, replacement));
+  }
+  return str;
+};
+
+/**
+ * Gets the plural category of a number, e.g. 'one', 'few' or 'other'.
+ * @param {number} count - The number.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.locale='en'] - The locale.
+ * @param {string} [options.type='cardinal'] - 'cardinal' or 'ordinal'.
+ * @returns {string} The category chosen by Intl.PluralRules.
+ * @example
+ * pluralCategory(1); // 'one'
+ * pluralCategory(3, { locale: 'ru' }); // 'few'
+ * pluralCategory(2, { type: 'ordinal' }); // 'two'
+ */
+export const pluralCategory = (count, options = {}) => {
+  if (typeof count !== 'number') throw new TypeError('Count must be a number');
+  const { locale = 'en', type = 'cardinal' } = options;
+  return new Intl.PluralRules(locale, { type }).select(count);
+}
+
+/**
+ * Returns the plural form of an English word, keeping its case pattern.
+ * When a count is given, the word is returned unchanged for a count of one.
+ * With `forms`, the form for the count's plural category in `locale` is returned instead.
+ * @param {string} word - The singular word (or phrase; the last word is inflected).
+ * @param {number} [count] - The number of items.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.inclusive=false] - Prefix the result with the count.
+ * @param {string} [options.locale='en'] - Locale used to pick the plural category.
+ * @param {Object} [options.forms] - Forms per plural category, e.g. { one, few, many, other }.
+ * @returns {string} The plural form.
+ * @example
+ * pluralize('box'); // 'boxes'
+ * pluralize('Person'); // 'People'
+ * pluralize('item', 1); // 'item'
+ * pluralize('item', 3, { inclusive: true }); // '3 items'
+ * pluralize('книга', 5, { locale: 'ru', forms: { one: 'книга', few: 'книги', many: 'книг' } }); // 'книг'
+ */
+export const pluralize = (word, count, options = {}) => {
+  if (typeof word !== 'string') throw new TypeError('Input must be a string');
+  const { inclusive = false, locale = 'en', forms } = options;
+
+  let result;
+  if (forms && count !== undefined) {
+    const category = pluralCategory(count, { locale });
+    result = forms[category] !== undefined ? forms[category] : forms.other !== undefined ? forms.other : word;
+  } else if (count !== undefined && pluralCategory(count, { locale }) === 'one') {
+    result = word;
+  } else {
+    // Words that are already plural come back from a round trip unchanged.
+    const singular = inflect(word, irregularSingulars, singularRules);
+    const isPlural = singular !== word && inflect(singular, irregularPlurals, pluralRules) === word;
+    result = isPlural ? word : inflect(word, irregularPlurals, pluralRules);
+  }
+
+  return inclusive && count !== undefined ? `${count} ${result}` : result;
+}
+
+/**
+ * Returns the singular form of an English word, keeping its case pattern.
+ * @param {string} word - The plural word (or phrase; the last word is inflected).
+ * @returns {string} The singular form.
+ * @example
+ * singularize('boxes'); // 'box'
+ * singularize('People'); // 'Person'
+ * singularize('CATEGORIES'); // 'CATEGORY'
+ */
+export const singularize = (word) => {
+  if (typeof word !== 'string') throw new TypeError('Input must be a string');
+  const last = (/([\p{L}']+)$/u.exec(word) || [''])[0].toLowerCase();
+  if (irregularPlurals.has(last)) return word;
+  return inflect(word, irregularSingulars, singularRules);
+}
+
+/**
+ * Formats a number as an ordinal.
+ * @param {number} n - The number.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.locale='en'] - The locale; built-in suffixes cover
+ *   en, fr, es, it, pt, de, nl and sv.
+ * @param {Object} [options.suffixes] - Suffixes per ordinal plural category, for other locales.
+ * @returns {string} The ordinal.
+ * @example
+ * ordinal(1); // '1st'
+ * ordinal(22); // '22nd'
+ * ordinal(113); // '113th'
+ * ordinal(1, { locale: 'fr' }); // '1er'
+ */
+export const ordinal = (n, options = {}) => {
+  if (typeof n !== 'number') throw new TypeError('Input must be a number');
+  const { locale = 'en' } = options;
+  const suffixes = options.suffixes || ORDINAL_SUFFIXES[locale.toLowerCase().split(/[-_]/)[0]];
+  if (!suffixes) throw new RangeError(`No ordinal suffixes for locale: ${locale}`);
+  const category = pluralCategory(n, { locale, type: 'ordinal' });
+  return `${n}${suffixes[category] !== undefined ? suffixes[category] : suffixes.other}`;
+}
+
+/**
+ * Adds a pluralization rule. Rules added later take precedence.
+ * @param {RegExp} rule - Pattern matched against the lowercase word.
+ * @param {string} replacement - Replacement string (may use capture groups).
+ * @example
+ * addPluralRule(/(gen)us$/i, '$1era');
+ * pluralize('genus'); // 'genera'
+ */
+export const addPluralRule = (rule, replacement) => {
+  if (!(rule instanceof RegExp)) throw new TypeError('Rule must be a RegExp');
+  pluralRules.push([rule, replacement]);
+}
+
+/**
+ * Adds a singularization rule. Rules added later take precedence.
+ * @param {RegExp} rule - Pattern matched against the lowercase word.
+ * @param {string} replacement - Replacement string (may use capture groups).
+ * @example
+ * addSingularRule(/(gen)era$/i, '$1us');
+ * singularize('genera'); // 'genus'
+ */
+export const addSingularRule = (rule, replacement) => {
+  if (!(rule instanceof RegExp)) throw new TypeError('Rule must be a RegExp');
+  singularRules.push([rule, replacement]);
+}
+
+/**
+ * Adds an irregular singular/plural pair.
+ * @param {string} singular - The singular form.
+ * @param {string} plural - The plural form.
+ * @example
+ * addIrregularRule('octopus', 'octopuses');
+ * pluralize('octopus'); // 'octopuses'
+ */
+export const addIrregularRule = (singular, plural) => {
+  if (typeof singular !== 'string' || typeof plural !== 'string') throw new TypeError('Inputs must be strings');
+  irregularPlurals.set(singular.toLowerCase(), plural.toLowerCase());
+  irregularSingulars.set(plural.toLowerCase(), singular.toLowerCase());
+}
+
+/**
+ * Marks a word, or every word matching a pattern, as uncountable.
+ * @param {string|RegExp} word - The word or pattern.
+ * @example
+ * addUncountableRule('pokemon');
+ * pluralize('pokemon'); // 'pokemon'
+ */
+export const addUncountableRule = (word) => {
+  if (word instanceof RegExp) uncountablePatterns.push(word);
+  else if (typeof word === 'string') uncountables.add(word.toLowerCase());
+  else throw new TypeError('Input must be a string or RegExp');
+}
+
+/**
+ * Removes every rule added with the add*Rule functions, restoring the built-in rules.
+ * @example
+ * addIrregularRule('octopus', 'octopuses');
+ * resetInflections();
+ * pluralize('octopus'); // 'octopi'
+ */
+export const resetInflections = () => {
+  pluralRules.splice(0, pluralRules.length, ...DEFAULT_PLURAL_RULES);
+  singularRules.splice(0, singularRules.length, ...DEFAULT_SINGULAR_RULES);
+  irregularPlurals.clear();
+  irregularSingulars.clear();
+  DEFAULT_IRREGULARS.forEach(([single, plural]) => {
+    irregularPlurals.set(single, plural);
+    irregularSingulars.set(plural, single);
+  });
+  uncountables.clear();
+  DEFAULT_UNCOUNTABLES.forEach(word => uncountables.add(word));
+  uncountablePatterns.length = 0;
+}
@@ -126,6 +126,133 @@ export const mapKeys = (obj, fn) => {
   return result;
 }
 
+const isPlainObject = (value) => {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+const isExcluded = (exclude, key, path) => exclude.some(rule => {
+  if (rule instanceof RegExp) return rule.test(key);
+  const ruleParts = rule.split('.');
+  const pathParts = path.split('.');
+  return ruleParts.length === pathParts.length &&
+    ruleParts.every((part, i) => part === '*' || part === pathParts[i]);
+});
+
+/**
+ * Recursively transforms the keys of plain objects, including objects inside arrays.
+ * Dates, Maps, Sets and class instances are kept as they are.
+ * @param {Object|Array} obj - The source object or array.
+ * @param {Function} fn - Called with (key, path); returns the new key.
+ * @param {Object} [options] - Options.
+ * @param {Array<string|RegExp>} [options.exclude=[]] - Entries to keep unchanged, key and
+ *   value: dot-paths of the original keys (`*` matches any one segment, such as an array
+ *   index) or RegExps tested against the key.
+ * @returns {Object|Array} The transformed copy.
+ * @example
+ * transformKeysDeep({ a: { b: [{ c: 1 }] } }, key => key.toUpperCase()); // { A: { B: [{ C: 1 }] } }
+ */
+export const transformKeysDeep = (obj, fn, options = {}) => {
+  if (typeof fn !== 'function') throw new TypeError('Second argument must be a function');
+  const { exclude = [] } = options;
+  if (!Array.isArray(exclude)) throw new TypeError('exclude must be an array');
+
+  const walk = (value, path) => {
+    if (Array.isArray(value)) return value.map((item, i) => walk(item, path ? `${path}.${i}` : String(i)));
+    if (!isPlainObject(value)) return value;
+    const result = {};
+    Object.keys(value).forEach(key => {
+      const keyPath = path ? `${path}.${key}` : key;
+      const excluded = isExcluded(exclude, key, keyPath);
+      const newKey = excluded ? key : fn(key, keyPath);
+      // Assign as an own data property so a key such as '__proto__' stays a key.
+      Object.defineProperty(result, newKey, {
+        value: excluded ? value[key] : walk(value[key], keyPath),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+    });
+    return result;
+  };
+  return walk(obj, '');
+}
+
+// Splits a key into lowercase words. Separators and each capital letter start a word
+// (so 'aBC' is 'a', 'b', 'c'), but all-caps parts such as 'ID' stay one word.
+// Leading and trailing separators are returned separately so they survive conversion.
+const splitKey = (key) => {
+  const [, lead, body, trail] = /^([_\-\s]*)(.*?)([_\-\s]*)$/su.exec(key);
+  const parts = body.split(/[_\-\s]+/).flatMap(part =>
+    part === part.toUpperCase() ? [part] : part.split(/(?=\p{Lu})/u)
+  );
+  return { lead, words: parts.filter(Boolean).map(word => word.toLowerCase()), trail };
+};
+
+// Joins words in camel or Pascal case. Words starting with a digit keep an
+// underscore ('line_1' -> 'line_1', not 'line1') so the conversion can be reversed.
+const joinCapitalized = (words, upperFirst) => words.map((word, i) => {
+  if (/^\p{N}/u.test(word)) return i ? `_${word}` : word;
+  return i || upperFirst ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+}).join('');
+
+const KEY_CASES = {
+  camel: words => joinCapitalized(words, false),
+  pascal: words => joinCapitalized(words, true),
+  snake: words => words.join('_'),
+  kebab: words => words.join('-')
+};
+
+const convertKeys = (target) => (obj, options) => transformKeysDeep(obj, key => {
+  const { lead, words, trail } = splitKey(key);
+  return words.length ? lead + KEY_CASES[target](words) + trail : key;
+}, options);
+
+/**
+ * Recursively converts object keys to camelCase. Converting back with snakeizeKeys
+ * (or kebabizeKeys) restores the original keys, which is why 'userID' is snakeized as
+ * 'user_i_d' rather than 'user_id' (use toSnakeCase with transformKeysDeep for that).
+ * @param {Object|Array} obj - The source object or array.
+ * @param {Object} [options] - Options (see transformKeysDeep).
+ * @returns {Object|Array} The converted copy.
+ * @example
+ * camelizeKeys({ user_id: 1, address_line_1: 'x', items: [{ created_at: 0 }] });
+ * // { userId: 1, addressLine_1: 'x', items: [{ createdAt: 0 }] }
+ * camelizeKeys({ metadata: { raw_key: 1 } }, { exclude: ['metadata'] }); // { metadata: { raw_key: 1 } }
+ */
+export const camelizeKeys = convertKeys('camel');
+
+/**
+ * Recursively converts object keys to snake_case.
+ * @param {Object|Array} obj - The source object or array.
+ * @param {Object} [options] - Options (see transformKeysDeep).
+ * @returns {Object|Array} The converted copy.
+ * @example
+ * snakeizeKeys({ userId: 1, profile: { firstName: 'Ada' } }); // { user_id: 1, profile: { first_name: 'Ada' } }
+ */
+export const snakeizeKeys = convertKeys('snake');
+
+/**
+ * Recursively converts object keys to kebab-case.
+ * @param {Object|Array} obj - The source object or array.
+ * @param {Object} [options] - Options (see transformKeysDeep).
+ * @returns {Object|Array} The converted copy.
+ * @example
+ * kebabizeKeys({ contentType: 'json' }); // { 'content-type': 'json' }
+ */
+export const kebabizeKeys = convertKeys('kebab');
+
+/**
+ * Recursively converts object keys to PascalCase.
+ * @param {Object|Array} obj - The source object or array.
+ * @param {Object} [options] - Options (see transformKeysDeep).
+ * @returns {Object|Array} The converted copy.
+ * @example
+ * pascalizeKeys({ user_id: 1 }); // { UserId: 1 }
+ */
+export const pascalizeKeys = convertKeys('pascal');
+
 /**
  * Maps the values of an object using a function.
  * @param {Object} obj - The source object.
@@ -162,8 +289,13 @@ export const defaults = (obj, defaults) => {
   return result;
 }
 
+const UNSAFE_PATH_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
 /**
- * Gets a nested property value using dot notation
+ * Gets a nested property value using dot notation.
+ * Falsy values such as 0, '' and false are returned as they are; the default is used
+ * only when the value is undefined or the path runs into null or undefined. Paths with
+ * a '__proto__', 'constructor' or 'prototype' segment always give the default.
  * @param {Object} obj - The object
  * @param {string} path - Path to property (e.g., 'user.address.city')
  * @param {*} defaultValue - Default value if not found
@@ -171,6 +303,8 @@ export const defaults = (obj, defaults) => {
  * @example
  * getNestedValue({ a: { b: { c: 42 } } }, 'a.b.c'); // 42
  * getNestedValue({ a: { b: { c: 42 } } }, 'a.c', 'default'); // 'default'
+ * getNestedValue({ a: { count: 0 } }, 'a.count', 10); // 0
+ * getNestedValue({}, 'constructor.name', 'default'); // 'default'
  */
 export const getNestedValue = (obj, path, defaultValue = undefined) => {
   if (!obj || typeof path !== 'string') return defaultValue;
@@ -179,11 +313,11 @@ export const getNestedValue = (obj, path, defaultValue = undefined) => {
   let result = obj;
 
   for (const key of keys) {
-    result = (result && result[key]) ? result[key] : defaultValue;
-    if (result === undefined) return defaultValue;
+    if (result === null || result === undefined || UNSAFE_PATH_SEGMENTS.has(key)) return defaultValue;
+    result = result[key];
   }
 
-  return result;
+  return result === undefined ? defaultValue : result;
 }
 
 /**
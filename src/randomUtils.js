@@ -0,0 +1,87 @@
+/**
+ * Random Utility Functions
+ * Functions that take a `random` option accept any function returning a float in
+ * [0, 1), such as a generator from createRandom. They default to Math.random.
+ * @module random
+ */
+
+import { fnv1a } from './encodingUtils.js';
+
+
+const splitmix32 = (seed) => () => {
+  seed = (seed + 0x9e3779b9) | 0;
+  let z = seed;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  return (z ^ (z >>> 16)) >>> 0;
+};
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+/**
+ * Creates a seeded pseudo-random generator (xoshiro128**). The same seed always
+ * produces the same sequence, which makes shuffles and samples reproducible.
+ * Not suitable for security purposes.
+ * @param {number|string} [seed] - The seed. Strings are hashed; omitted seeds are random.
+ * @returns {Function} A function returning a float in [0, 1).
+ * @example
+ * const random = createRandom(42);
+ * random(); // 0.6606157226487994
+ * shuffle([1, 2, 3, 4], { random: createRandom(42) }); // the same order on every run
+ */
+export const createRandom = (seed = Math.floor(Math.random() * 2 ** 32)) => {
+  if (typeof seed === 'string') seed = fnv1a(seed);
+  if (!Number.isFinite(seed)) throw new TypeError('Seed must be a number or string');
+  const next = splitmix32(Math.floor(seed) | 0);
+  let a = next();
+  let b = next();
+  let c = next();
+  let d = next();
+
+  return () => {
+    const result = Math.imul(rotl(Math.imul(b, 5), 7), 9);
+    const t = b << 9;
+    c ^= a;
+    d ^= b;
+    b ^= c;
+    a ^= d;
+    c ^= t;
+    d = rotl(d, 11);
+    return (result >>> 0) / 2 ** 32;
+  };
+};
+
+/**
+ * Returns a random integer between min and max, inclusive.
+ * @param {number} min - The lower bound.
+ * @param {number} max - The upper bound.
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random=Math.random] - The random source.
+ * @returns {number} The random integer.
+ * @example
+ * randomInt(1, 6); // 4
+ * randomInt(1, 6, { random: createRandom('dice') }); // the same roll on every run
+ */
+export const randomInt = (min, max, options = {}) => {
+  const { random = Math.random } = options;
+  if (!Number.isInteger(min) || !Number.isInteger(max)) throw new TypeError('Bounds must be integers');
+  if (min > max) throw new RangeError('min must not be greater than max');
+  return min + Math.floor(random() * (max - min + 1));
+};
+
+/**
+ * Returns a random float between min (inclusive) and max (exclusive).
+ * @param {number} [min=0] - The lower bound.
+ * @param {number} [max=1] - The upper bound.
+ * @param {Object} [options] - Options.
+ * @param {Function} [options.random=Math.random] - The random source.
+ * @returns {number} The random float.
+ * @example
+ * randomFloat(1.5, 2.5); // 2.0731
+ */
+export const randomFloat = (min = 0, max = 1, options = {}) => {
+  const { random = Math.random } = options;
+  if (!Number.isFinite(min) || !Number.isFinite(max)) throw new TypeError('Bounds must be finite numbers');
+  if (min > max) throw new RangeError('min must not be greater than max');
+  return min + random() * (max - min);
+};
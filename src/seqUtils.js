@@ -0,0 +1,241 @@
+/**
+ * Sequence Utility Functions
+ * Lazy pipelines over any iterable: items are pulled one at a time, only when a
+ * terminal step such as toArray or first asks for them.
+ * @module seq
+ */
+
+import { groupBy } from './arrayUtils.js';
+
+
+const isIterable = (value) => value !== null && value !== undefined && typeof value[Symbol.iterator] === 'function';
+
+const assertFunction = (fn) => {
+  if (typeof fn !== 'function') throw new TypeError('Callback must be a function');
+};
+
+const assertCount = (n) => {
+  if (!Number.isInteger(n) || n < 0) throw new RangeError('Count must be a non-negative integer');
+};
+
+const lazy = (generate) => ({ [Symbol.iterator]: generate });
+
+/**
+ * Creates a lazy sequence from an iterable such as an array, Set, Map, string or generator.
+ * Steps return new sequences; nothing is read from the source until a terminal step runs,
+ * and reading stops as soon as the result is known.
+ * @param {Iterable} iterable - The source.
+ * @returns {Object} The sequence, which is itself iterable.
+ * @example
+ * seq(readLines('huge.log')).filter(line => line.includes('ERROR')).take(10).toArray();
+ * // reads only as many lines as needed to find 10 errors
+ * seq(new Set([1, 2, 3])).map(n => n * 2).reduce((a, b) => a + b, 0); // 12
+ */
+export const seq = (iterable) => {
+  if (!isIterable(iterable)) throw new TypeError('Input must be iterable');
+
+  return {
+    [Symbol.iterator]: () => iterable[Symbol.iterator](),
+
+    /**
+     * Transforms each item.
+     * @param {Function} fn - Called with (item, index).
+     * @returns {Object} The sequence.
+     */
+    map(fn) {
+      assertFunction(fn);
+      return seq(lazy(function* () {
+        let index = 0;
+        for (const item of iterable) yield fn(item, index++);
+      }));
+    },
+
+    /**
+     * Keeps the items for which the predicate returns truthy.
+     * @param {Function} fn - Called with (item, index).
+     * @returns {Object} The sequence.
+     */
+    filter(fn) {
+      assertFunction(fn);
+      return seq(lazy(function* () {
+        let index = 0;
+        for (const item of iterable) if (fn(item, index++)) yield item;
+      }));
+    },
+
+    /**
+     * Maps each item to an iterable (or a single value) and flattens the results one level.
+     * Strings are yielded whole.
+     * @param {Function} fn - Called with (item, index).
+     * @returns {Object} The sequence.
+     */
+    flatMap(fn) {
+      assertFunction(fn);
+      return seq(lazy(function* () {
+        let index = 0;
+        for (const item of iterable) {
+          const result = fn(item, index++);
+          if (isIterable(result) && typeof result !== 'string') yield* result;
+          else yield result;
+        }
+      }));
+    },
+
+    /**
+     * Keeps the first n items, then stops reading the source.
+     * @param {number} n - The number of items.
+     * @returns {Object} The sequence.
+     */
+    take(n) {
+      assertCount(n);
+      return seq(lazy(function* () {
+        if (n === 0) return;
+        let count = 0;
+        for (const item of iterable) {
+          yield item;
+          if (++count >= n) return;
+        }
+      }));
+    },
+
+    /**
+     * Keeps items while the predicate returns truthy, then stops reading the source.
+     * @param {Function} fn - Called with (item, index).
+     * @returns {Object} The sequence.
+     */
+    takeWhile(fn) {
+      assertFunction(fn);
+      return seq(lazy(function* () {
+        let index = 0;
+        for (const item of iterable) {
+          if (!fn(item, index++)) return;
+          yield item;
+        }
+      }));
+    },
+
+    /**
+     * Skips the first n items.
+     * @param {number} n - The number of items.
+     * @returns {Object} The sequence.
+     */
+    drop(n) {
+      assertCount(n);
+      return seq(lazy(function* () {
+        let count = 0;
+        for (const item of iterable) if (count++ >= n) yield item;
+      }));
+    },
+
+    /**
+     * Groups items into arrays of a given size; the last one may be shorter.
+     * @param {number} size - The chunk size.
+     * @returns {Object} The sequence of chunks.
+     */
+    chunk(size) {
+      if (typeof size !== 'number' || size <= 0) throw new TypeError('Size must be a positive number');
+      return seq(lazy(function* () {
+        let current = [];
+        for (const item of iterable) {
+          current.push(item);
+          if (current.length >= size) {
+            yield current;
+            current = [];
+          }
+        }
+        if (current.length) yield current;
+      }));
+    },
+
+    /**
+     * Removes repeated items, or items with a repeated key.
+     * @param {Function} [fn] - Returns the key to compare; defaults to the item itself.
+     * @returns {Object} The sequence.
+     */
+    unique(fn = item => item) {
+      assertFunction(fn);
+      return seq(lazy(function* () {
+        const seen = new Set();
+        for (const item of iterable) {
+          const key = fn(item);
+          if (!seen.has(key)) {
+            seen.add(key);
+            yield item;
+          }
+        }
+      }));
+    },
+
+    /**
+     * Pairs items with the items of other iterables, stopping at the shortest.
+     * @param {...Iterable} others - The other iterables.
+     * @returns {Object} The sequence of tuples.
+     */
+    zip(...others) {
+      if (!others.every(isIterable)) throw new TypeError('All inputs must be iterable');
+      return seq(lazy(function* () {
+        const iterators = [iterable, ...others].map(source => source[Symbol.iterator]());
+        try {
+          while (true) {
+            const tuple = [];
+            for (const iterator of iterators) {
+              const { value, done } = iterator.next();
+              if (done) return;
+              tuple.push(value);
+            }
+            yield tuple;
+          }
+        } finally {
+          iterators.forEach(iterator => iterator.return && iterator.return());
+        }
+      }));
+    },
+
+    /**
+     * Collects the items into an array.
+     * @returns {Array} The items.
+     */
+    toArray() {
+      return Array.from(iterable);
+    },
+
+    /**
+     * Reduces the items to a single value, like Array.prototype.reduce.
+     * @param {Function} fn - Called with (accumulator, item, index).
+     * @param {*} [initial] - The initial value; defaults to the first item.
+     * @returns {*} The result.
+     */
+    reduce(fn, ...initial) {
+      assertFunction(fn);
+      let hasValue = initial.length > 0;
+      let accumulator = initial[0];
+      let index = 0;
+      for (const item of iterable) {
+        accumulator = hasValue ? fn(accumulator, item, index) : item;
+        hasValue = true;
+        index++;
+      }
+      if (!hasValue) throw new TypeError('Reduce of empty sequence with no initial value');
+      return accumulator;
+    },
+
+    /**
+     * Returns the first item (reading nothing more), or undefined if there is none.
+     * @returns {*} The first item.
+     */
+    first() {
+      for (const item of iterable) return item;
+      return undefined;
+    },
+
+    /**
+     * Groups the items; see groupBy for keys and options.
+     * @param {string|Function|Array} keys - The group keys.
+     * @param {Object} [options] - Options.
+     * @returns {Object|Map} The groups.
+     */
+    groupBy(keys, options) {
+      return groupBy(Array.from(iterable), keys, options);
+    }
+  };
+};
@@ -3,6 +3,9 @@
  * @module string
  */
 
+import { getNestedValue } from './objectUtils.js';
+import { utf8ByteLength } from './encodingUtils.js';
+import { isCreditCard, isIban, isIp, validateEmail, validateNumeric, validateUrl } from './validationUtils.js';
 
 /**
  * Capitalizes the first letter of a string.
@@ -16,18 +19,132 @@ export const capitalize = (str) => {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+const APOSTROPHE_PATTERN = /(?<=[\p{L}\p{N}])['’](?=[\p{L}\p{N}])/gu;
+
+const charType = (char) => {
+  if (char === undefined) return null;
+  if (/\p{M}/u.test(char)) return 'mark';
+  if (/[\p{Lu}\p{Lt}]/u.test(char)) return 'upper';
+  if (/\p{L}/u.test(char)) return 'lower';
+  if (/\p{N}/u.test(char)) return 'digit';
+  return null;
+};
+
+const capitalizeWord = (word) => {
+  const [first = ''] = word;
+  return first.toUpperCase() + word.slice(first.length).toLowerCase();
+};
+
+// Fallback for runtimes without Intl.Segmenter: a base character with its combining
+// marks, emoji modifiers and tag characters, ZWJ sequences, flag pairs and CRLF.
+const CLUSTER_EXTEND = '(?:\\p{M}|\\p{Emoji_Modifier}|[\\u{E0020}-\\u{E007F}])*';
+const GRAPHEME_PATTERN = new RegExp(
+  `\\r\\n|\\p{Regional_Indicator}{2}|\\P{M}${CLUSTER_EXTEND}(?:\\u200D\\P{M}${CLUSTER_EXTEND})*|\\p{M}+`,
+  'gu'
+);
+
+let graphemeSegmenter;
+
+/**
+ * Splits a string into user-perceived characters (grapheme clusters).
+ * Uses Intl.Segmenter where available, with a regex fallback for older runtimes.
+ * @param {string} str - The input string.
+ * @returns {Array<string>} The grapheme clusters.
+ * @example
+ * splitGraphemes('👍🏽ok'); // ['👍🏽', 'o', 'k']
+ * Array.from('👍🏽ok'); // ['👍', '🏽', 'o', 'k']
+ */
+export const splitGraphemes = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    graphemeSegmenter = graphemeSegmenter || new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    return Array.from(graphemeSegmenter.segment(str), ({ segment }) => segment);
+  }
+  return str.match(GRAPHEME_PATTERN) || [];
+};
+
+/**
+ * Counts the user-perceived characters (grapheme clusters) in a string.
+ * @param {string} str - The input string.
+ * @returns {number} The number of grapheme clusters.
+ * @example
+ * graphemeLength('👍🏽 ok'); // 4
+ * '👍🏽 ok'.length; // 7
+ */
+export const graphemeLength = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  return splitGraphemes(str).length;
+}
+
+/**
+ * Splits a string into words.
+ * Handles any mix of separators, camelCase humps, acronym runs
+ * (`XMLHttp` -> `XML`, `Http`) and Unicode letters. Digits stay attached to
+ * the word they follow, and an uppercase letter after a digit starts a new word.
+ * Apostrophes inside words are dropped (`don't` -> `dont`).
+ * @param {string} str - The input string.
+ * @returns {Array<string>} The words in the string.
+ * @example
+ * words('XMLHttpRequest'); // ['XML', 'Http', 'Request']
+ * words('foo-Bar_baz qux'); // ['foo', 'Bar', 'baz', 'qux']
+ * words('html5Parser'); // ['html5', 'Parser']
+ */
+export const words = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const chars = [...str.replace(APOSTROPHE_PATTERN, '')];
+  const types = chars.map(charType);
+  const result = [];
+  let current = '';
+  let prev = null;
+
+  const nextType = (index) => {
+    let i = index + 1;
+    while (types[i] === 'mark') i++;
+    return types[i];
+  };
+
+  chars.forEach((char, i) => {
+    const type = types[i];
+    if (type === null) {
+      if (current) result.push(current);
+      current = '';
+      prev = null;
+      return;
+    }
+    if (type === 'mark') {
+      current += char;
+      return;
+    }
+    const isBoundary = current && type === 'upper' && (
+      prev === 'lower' ||
+      prev === 'digit' ||
+      (prev === 'upper' && nextType(i) === 'lower')
+    );
+    if (isBoundary) {
+      result.push(current);
+      current = '';
+    }
+    current += char;
+    prev = type;
+  });
+
+  if (current) result.push(current);
+  return result;
+}
+
 /**
  * Converts a string to camelCase.
  * @param {string} str - The input string.
  * @returns {string} The camelCase version of the string.
  * @example
  * toCamelCase('hello world'); // 'helloWorld'
+ * toCamelCase('XMLHttpRequest'); // 'xmlHttpRequest'
  */
 export const toCamelCase = (str) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
-  return str
-    .replace(/[-_\s]+(.)?/g, (_, char) => char ? char.toUpperCase() : '')
-    .replace(/^./, char => char.toLowerCase());
+  return words(str)
+    .map((word, i) => i === 0 ? word.toLowerCase() : capitalizeWord(word))
+    .join('');
 }
 
 /**
@@ -36,13 +153,11 @@ export const toCamelCase = (str) => {
  * @returns {string} The kebab-case version of the string.
  * @example
  * toKebabCase('Hello World'); // 'hello-world'
+ * toKebabCase('XMLHttpRequest'); // 'xml-http-request'
  */
 export const toKebabCase = (str) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
-  return str
-    .replace(/([a-z])([A-Z])/g, '$1-$2')
-    .replace(/[\s_]+/g, '-')
-    .toLowerCase();
+  return words(str).map(word => word.toLowerCase()).join('-');
 }
 
 /**
@@ -54,10 +169,7 @@ export const toKebabCase = (str) => {
  */
 export const toSnakeCase = (str) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
-  return str
-    .replace(/([a-z])([A-Z])/g, '$1_$2')
-    .replace(/[\s-]+/g, '_')
-    .toLowerCase();
+  return words(str).map(word => word.toLowerCase()).join('_');
 }
 
 /**
@@ -69,75 +181,612 @@ export const toSnakeCase = (str) => {
  */
 export const toPascalCase = (str) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
-  return str
-    .replace(/[-_\s]+(.)?/g, (_, char) => char ? char.toUpperCase() : '')
-    .replace(/^./, char => char.toUpperCase());
+  return words(str).map(capitalizeWord).join('');
+}
+
+/**
+ * Converts a string to CONSTANT_CASE.
+ * @param {string} str - The input string.
+ * @returns {string} The CONSTANT_CASE version of the string.
+ * @example
+ * toConstantCase('maxRetryCount'); // 'MAX_RETRY_COUNT'
+ */
+export const toConstantCase = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  return words(str).map(word => word.toUpperCase()).join('_');
+}
+
+/**
+ * Converts a string to dot.case.
+ * @param {string} str - The input string.
+ * @returns {string} The dot.case version of the string.
+ * @example
+ * toDotCase('Hello World'); // 'hello.world'
+ */
+export const toDotCase = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  return words(str).map(word => word.toLowerCase()).join('.');
+}
+
+/**
+ * Converts a string to Train-Case.
+ * @param {string} str - The input string.
+ * @returns {string} The Train-Case version of the string.
+ * @example
+ * toTrainCase('content_type'); // 'Content-Type'
+ */
+export const toTrainCase = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  return words(str).map(capitalizeWord).join('-');
+}
+
+const CASE_CONVERTERS = {
+  camel: toCamelCase,
+  pascal: toPascalCase,
+  snake: toSnakeCase,
+  kebab: toKebabCase,
+  constant: toConstantCase,
+  dot: toDotCase,
+  train: toTrainCase
+};
+
+// Checked in order, so single words resolve to camel ('foo'), pascal ('Foo') or constant ('FOO').
+const CASE_PATTERNS = [
+  ['camel', /^\p{Ll}[\p{L}\p{M}\p{N}]*$/u],
+  ['pascal', /^\p{Lu}[\p{L}\p{M}\p{N}]*\p{Ll}[\p{L}\p{M}\p{N}]*$/u],
+  ['constant', /^\p{Lu}[\p{Lu}\p{M}\p{N}]*(?:_[\p{Lu}\p{M}\p{N}]+)*$/u],
+  ['snake', /^\p{Ll}[\p{Ll}\p{M}\p{N}]*(?:_[\p{Ll}\p{M}\p{N}]+)+$/u],
+  ['kebab', /^\p{Ll}[\p{Ll}\p{M}\p{N}]*(?:-[\p{Ll}\p{M}\p{N}]+)+$/u],
+  ['train', /^\p{Lu}[\p{Ll}\p{M}\p{N}]*(?:-\p{Lu}[\p{Ll}\p{M}\p{N}]*)+$/u],
+  ['dot', /^\p{Ll}[\p{Ll}\p{M}\p{N}]*(?:\.[\p{Ll}\p{M}\p{N}]+)+$/u]
+];
+
+/**
+ * Detects the naming convention of an identifier.
+ * @param {string} str - The input string.
+ * @returns {string|null} One of 'camel', 'pascal', 'constant', 'snake', 'kebab',
+ *   'train' or 'dot', or null if the string follows none of them.
+ * @example
+ * detectCase('fooBar'); // 'camel'
+ * detectCase('FOO_BAR'); // 'constant'
+ * detectCase('foo bar'); // null
+ */
+export const detectCase = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const match = CASE_PATTERNS.find(([, pattern]) => pattern.test(str));
+  return match ? match[0] : null;
 }
 
 /**
- * Capitalizes the first letter of each word
+ * Converts a string to the given naming convention.
+ * @param {string} str - The input string.
+ * @param {string} target - One of 'camel', 'pascal', 'snake', 'kebab',
+ *   'constant', 'dot' or 'train'.
+ * @returns {string} The converted string.
+ * @example
+ * convertCase('user_id', 'camel'); // 'userId'
+ * convertCase('XMLHttpRequest', 'constant'); // 'XML_HTTP_REQUEST'
+ */
+export const convertCase = (str, target) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  if (!Object.prototype.hasOwnProperty.call(CASE_CONVERTERS, target)) {
+    throw new RangeError(`Unknown case: ${target}`);
+  }
+  return CASE_CONVERTERS[target](str);
+}
+
+const ARTICLES = ['a', 'an', 'the'];
+const SHORT_CONJUNCTIONS = ['and', 'but', 'for', 'nor', 'or', 'so', 'yet'];
+const SHORT_PREPOSITIONS = ['as', 'at', 'by', 'en', 'for', 'in', 'of', 'off', 'on', 'out', 'per', 'to', 'up', 'via', 'vs'];
+const LONG_PREPOSITIONS = [
+  'about', 'above', 'across', 'after', 'against', 'along', 'amid', 'among', 'around', 'before',
+  'behind', 'below', 'beneath', 'beside', 'between', 'beyond', 'despite', 'down', 'during', 'except',
+  'from', 'inside', 'into', 'like', 'near', 'onto', 'over', 'past', 'since', 'through', 'throughout',
+  'toward', 'towards', 'under', 'underneath', 'until', 'upon', 'with', 'within', 'without'
+];
+
+// Words each style keeps lowercase unless they are first or last.
+const TITLE_SMALL_WORDS = {
+  // AP and APA: articles, conjunctions and prepositions of three letters or fewer.
+  ap: new Set([...ARTICLES, ...SHORT_CONJUNCTIONS, ...SHORT_PREPOSITIONS]),
+  apa: new Set([...ARTICLES, ...SHORT_CONJUNCTIONS, ...SHORT_PREPOSITIONS]),
+  // Chicago: articles, coordinating conjunctions and all prepositions.
+  chicago: new Set([...ARTICLES, 'and', 'but', 'for', 'nor', 'or', ...SHORT_PREPOSITIONS, ...LONG_PREPOSITIONS]),
+  simple: new Set()
+};
+
+// Words whose case is kept: acronyms ('NASA'), mixed case ('iPhone'), and
+// domains, paths or abbreviations with inner punctuation ('example.com', 'e.g.').
+const keepsCase = (word) =>
+  /\p{Lu}/u.test(word.slice(1)) || /[\p{L}\p{N}][./@][\p{L}\p{N}]/u.test(word);
+
+const upperFirst = (word, locale) => {
+  const index = word.search(/[\p{L}\p{N}]/u);
+  if (index === -1) return word;
+  const [first] = splitGraphemes(word.slice(index));
+  return word.slice(0, index) + first.toLocaleUpperCase(locale) + word.slice(index + first.length);
+};
+
+// Splits text into words and the whitespace between them, lowercasing it when it
+// is entirely uppercase so shouted text is not mistaken for acronyms.
+const caseTokens = (str, locale) => {
+  const shouting = !/\p{Ll}/u.test(str) && /\p{Lu}.*\p{Lu}/su.test(str);
+  return (shouting ? str.toLocaleLowerCase(locale) : str).split(/(\s+)/);
+};
+
+const preservedForm = (preserve, word) => {
+  const bare = word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+  const match = preserve.find(item => item.toLowerCase() === bare.toLowerCase());
+  return match === undefined ? null : word.replace(bare, match);
+};
+
+/**
+ * Converts a string to title case following a style guide.
+ * Small words (articles, conjunctions and prepositions) are lowercased except as
+ * the first or last word or after a colon, dash or end of sentence. Acronyms and
+ * mixed-case names such as 'iPhone' keep their case, and hyphenated compounds are
+ * capitalized part by part. Text that is entirely uppercase is treated as lowercase.
  * @param {string} str - The string to convert
+ * @param {Object} [options] - Options
+ * @param {string} [options.style='chicago'] - 'chicago', 'ap', 'apa' or 'simple' (capitalize every word)
+ * @param {string} [options.locale] - Locale used for upper- and lowercasing
+ * @param {Array<string>} [options.preserve=[]] - Words to output exactly as given
  * @returns {string} The title case string
  * @example
  * toTitleCase('hello world'); // 'Hello World'
+ * toTitleCase('the lord of the rings'); // 'The Lord of the Rings'
+ * toTitleCase('NASA and iPhone owners'); // 'NASA and iPhone Owners'
+ * toTitleCase('a walk through the park', { style: 'ap' }); // 'A Walk Through the Park'
+ * toTitleCase('istanbul guide', { locale: 'tr' }); // 'İstanbul Guide'
  */
-export const toTitleCase = (str) => {
-  if (!str) return '';
-  return str.replace(/\w\S*/g, (txt) =>
-    txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase()
-  );
-};
+export const toTitleCase = (str, options = {}) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const { style = 'chicago', locale, preserve = [] } = options;
+  const smallWords = TITLE_SMALL_WORDS[style];
+  if (!smallWords) throw new RangeError(`Unknown title case style: ${style}`);
+
+  const tokens = caseTokens(str, locale);
+  const wordIndexes = tokens.map((token, i) => (/[\p{L}\p{N}]/u.test(token) ? i : -1)).filter(i => i !== -1);
+  const first = wordIndexes[0];
+  const last = wordIndexes[wordIndexes.length - 1];
+
+  const capitalizePart = (part, forceCapital) => {
+    const bare = part.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLocaleLowerCase(locale);
+    if (keepsCase(part)) return part;
+    const lower = part.toLocaleLowerCase(locale);
+    return !forceCapital && smallWords.has(bare) ? lower : upperFirst(lower, locale);
+  };
+
+  let previous = '';
+  return tokens.map((token, i) => {
+    if (/^\s*$/.test(token)) return token;
+    const afterBreak = /(?:[:.!?—–]|^-)$/.test(previous);
+    previous = token;
+    if (!/[\p{L}\p{N}]/u.test(token)) return token;
+    const preserved = preservedForm(preserve, token);
+    if (preserved !== null) return preserved;
+
+    const forceCapital = i === first || i === last || afterBreak;
+    return token.split('-').map((part, p) => capitalizePart(part, p === 0 ? forceCapital : false)).join('-');
+  }).join('');
+}
+
+/**
+ * Converts a string to sentence case: the first letter of each sentence is
+ * uppercase and the rest is lowercase, except acronyms, mixed-case names and 'I'.
+ * Text that is entirely uppercase is treated as lowercase.
+ * @param {string} str - The string to convert
+ * @param {Object} [options] - Options
+ * @param {string} [options.locale] - Locale used for upper- and lowercasing
+ * @param {Array<string>} [options.preserve=[]] - Words to output exactly as given
+ * @returns {string} The sentence case string
+ * @example
+ * toSentenceCase('The Quick Brown Fox. JUMPS over NASA'); // 'The quick brown fox. JUMPS over NASA'
+ * toSentenceCase('WELCOME TO THE SHOW'); // 'Welcome to the show'
+ */
+export const toSentenceCase = (str, options = {}) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const { locale, preserve = [] } = options;
+
+  let sentenceStart = true;
+  return caseTokens(str, locale).map(token => {
+    if (!/[\p{L}\p{N}]/u.test(token)) return token;
+    const preserved = preservedForm(preserve, token);
+    let result;
+    if (preserved !== null) result = preserved;
+    else if (keepsCase(token)) result = token;
+    else if (/^i(?:['’]\p{L}+)?[^\p{L}\p{N}]*$/iu.test(token)) result = upperFirst(token, locale);
+    else {
+      const lower = token.toLocaleLowerCase(locale);
+      result = sentenceStart ? upperFirst(lower, locale) : lower;
+    }
+    sentenceStart = /[.!?]['")\]]*$/u.test(token);
+    return result;
+  }).join('');
+}
 
 /**
- * Reverses a string.
+ * Reverses a string, keeping emoji, flags and accented characters intact.
  * @param {string} str - The input string.
  * @returns {string} The reversed string.
  * @example
  * reverse('hello'); // 'olleh'
+ * reverse('ab🇫🇷'); // '🇫🇷ba'
  */
 export const reverse = (str) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
-  return str.split('').reverse().join('');
+  return splitGraphemes(str).reverse().join('');
 }
 
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Attribute names are lowercased; values are left undecoded and default to ''.
+const parseAttributes = (source) => {
+  const attributes = [];
+  for (const [, name, double, single, bare] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const value = double !== undefined ? double : single !== undefined ? single : bare;
+    attributes.push({ name: name.toLowerCase(), value: value === undefined ? '' : value });
+  }
+  return attributes;
+};
+
+// Splits markup into text, open/close tag, raw text (script/style bodies) and comment tokens.
+// Quoted attribute values may contain '>'; a '<' that does not start a tag is text.
+const tokenizeHtml = (html) => {
+  const tokens = [];
+  let i = 0;
+
+  const pushText = (value) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === 'text') last.value += value;
+    else tokens.push({ type: 'text', value });
+  };
+
+  while (i < html.length) {
+    if (html[i] !== '<') {
+      const next = html.indexOf('<', i);
+      const end = next === -1 ? html.length : next;
+      pushText(html.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    if (html.startsWith('<!--', i)) {
+      const close = html.indexOf('-->', i + 4);
+      const end = close === -1 ? html.length : close + 3;
+      tokens.push({ type: 'comment', raw: html.slice(i, end) });
+      i = end;
+      continue;
+    }
+
+    if (html[i + 1] === '!' || html[i + 1] === '?') {
+      const close = html.indexOf('>', i);
+      const end = close === -1 ? html.length : close + 1;
+      tokens.push({ type: 'comment', raw: html.slice(i, end) });
+      i = end;
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = i;
+    const match = TAG_PATTERN.exec(html);
+    if (!match) {
+      pushText('<');
+      i++;
+      continue;
+    }
+
+    const [raw, slash, tagName, attributeSource] = match;
+    const name = tagName.toLowerCase();
+    i = TAG_PATTERN.lastIndex;
+
+    if (slash) {
+      tokens.push({ type: 'close', name, raw });
+      continue;
+    }
+
+    const selfClosing = /\/\s*$/.test(attributeSource);
+    tokens.push({ type: 'open', name, attributes: parseAttributes(attributeSource), selfClosing, raw });
+
+    if (RAW_TEXT_ELEMENTS.has(name) && !selfClosing) {
+      const closePattern = new RegExp(`</${name}\\s*>`, 'ig');
+      closePattern.lastIndex = i;
+      const close = closePattern.exec(html);
+      const end = close ? close.index : html.length;
+      if (end > i) tokens.push({ type: 'raw', value: html.slice(i, end) });
+      i = end;
+    }
+  }
+
+  return tokens;
+};
+
+const ENTITY_PATTERN = /(&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);)/i;
+
+const isWordChar = (char) => /^[\p{L}\p{M}\p{N}_]/u.test(char);
+const isSpace = (char) => /^\s/u.test(char);
+
+const sumCosts = (costs, start = 0, end = costs.length) => {
+  let total = 0;
+  for (let i = start; i < end; i++) total += costs[i];
+  return total;
+};
+
+const measure = (str, cost) => sumCosts(splitGraphemes(str).map(cost));
+
+// Number of leading units that fit in the budget.
+const fitCount = (costs, budget) => {
+  let used = 0;
+  let count = 0;
+  while (count < costs.length && used + costs[count] <= budget) {
+    used += costs[count];
+    count++;
+  }
+  return count;
+};
+
+const splitsWord = (units, index) =>
+  index > 0 && index < units.length && isWordChar(units[index - 1]) && isWordChar(units[index]);
+
+// Moves a cut point back to the start of the word it falls in, unless that would drop everything.
+const wordBoundaryBefore = (units, index) => {
+  if (!splitsWord(units, index)) return index;
+  let i = index;
+  while (i > 0 && isWordChar(units[i - 1])) i--;
+  return i === 0 ? index : i;
+};
+
+// Moves a cut point forward to the end of the word it falls in, unless that would drop everything.
+const wordBoundaryAfter = (units, index) => {
+  if (!splitsWord(units, index)) return index;
+  let i = index;
+  while (i < units.length && isWordChar(units[i])) i++;
+  return i === units.length ? index : i;
+};
+
+const cutEnd = (units, costs, budget, boundary) => {
+  let end = fitCount(costs, budget);
+  if (boundary === 'word') end = wordBoundaryBefore(units, end);
+  while (end > 0 && isSpace(units[end - 1])) end--;
+  return end;
+};
+
+const fitSuffix = (suffix, length, cost) => {
+  const units = splitGraphemes(suffix);
+  return units.slice(0, fitCount(units.map(cost), length)).join('');
+};
+
+const truncateHtml = (str, length, { suffix, boundary, cost }) => {
+  const tokens = tokenizeHtml(str);
+  const units = [];
+  const costs = [];
+  const owners = [];
+  tokens.forEach((token, index) => {
+    if (token.type !== 'text') return;
+    // Odd parts are entities, each of which renders as one character.
+    token.value.split(ENTITY_PATTERN).forEach((part, i) => {
+      const isEntity = i % 2 === 1;
+      (isEntity ? [part] : splitGraphemes(part)).forEach(unit => {
+        units.push(unit);
+        costs.push(isEntity ? 1 : cost(unit));
+        owners.push(index);
+      });
+    });
+  });
+
+  if (sumCosts(costs) <= length) return str;
+
+  const budget = length - measure(suffix, cost);
+  if (budget < 0) return fitSuffix(suffix, length, cost);
+  const end = cutEnd(units, costs, budget, boundary);
+
+  const stack = [];
+  let out = '';
+  let unit = 0;
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.type === 'text') {
+      while (unit < end && owners[unit] === index) out += units[unit++];
+      if (unit >= end && (unit >= units.length || owners[unit] === index)) break;
+      continue;
+    }
+    if (token.type === 'open' && !token.selfClosing && !VOID_ELEMENTS.has(token.name)) {
+      stack.push(token.name);
+    } else if (token.type === 'close') {
+      const open = stack.lastIndexOf(token.name);
+      if (open !== -1) stack.length = open;
+    }
+    out += token.type === 'raw' ? token.value : token.raw;
+  }
+
+  return out + suffix + stack.reverse().map(name => `</${name}>`).join('');
+};
+
+const TRUNCATE_OPTIONS = {
+  boundary: ['grapheme', 'word'],
+  position: ['end', 'middle'],
+  countBy: ['grapheme', 'byte']
+};
+
 /**
  * Truncates a string to a specified length and adds an ellipsis.
+ * Lengths are counted in grapheme clusters, so emoji are never cut in half.
+ * The suffix counts towards the length; if it does not fit, it is cut itself.
  * @param {string} str - The input string.
  * @param {number} length - The maximum length.
- * @param {string} [suffix='...'] - The suffix to add.
+ * @param {string|Object} [suffix='...'] - The suffix to add, or an options object.
+ * @param {string} [suffix.suffix='...'] - The suffix to add.
+ * @param {string} [suffix.boundary='grapheme'] - 'word' to avoid cutting inside a word.
+ * @param {string} [suffix.position='end'] - 'middle' to keep both ends of the string.
+ * @param {boolean} [suffix.html=false] - Count only visible text and keep tags balanced.
+ * @param {string} [suffix.countBy='grapheme'] - 'byte' to measure the UTF-8 byte length.
+ * @param {boolean} [addSuffix=true] - Whether to add the suffix.
  * @returns {string} The truncated string.
  * @example
- * truncate('Hello World', 5, '', true); // 'He...'
+ * truncate('Hello World', 5); // 'He...'
  * truncate('Hello World', 5, '', false); // 'Hello'
+ * truncate('The quick brown fox', 16, { boundary: 'word' }); // 'The quick...'
+ * truncate('src/components/forms/index.js', 15, { position: 'middle', boundary: 'word', suffix: '…' }); // 'src/…/index.js'
+ * truncate('<p>Hello <b>World</b></p>', 10, { html: true }); // '<p>Hello <b>W...</b></p>'
  */
 export const truncate = (str, length, suffix = '...', addSuffix = true) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
   if (typeof length !== 'number') throw new TypeError('Length must be a number');
 
-  if (str.length <= length) return str;
+  const options = suffix !== null && typeof suffix === 'object'
+    ? { suffix: '...', ...suffix }
+    : { suffix: addSuffix && suffix ? suffix : '' };
+  const {
+    boundary = 'grapheme',
+    position = 'end',
+    html = false,
+    countBy = 'grapheme'
+  } = options;
+  Object.entries({ boundary, position, countBy }).forEach(([name, value]) => {
+    if (!TRUNCATE_OPTIONS[name].includes(value)) throw new RangeError(`Invalid ${name}: ${value}`);
+  });
+  if (typeof options.suffix !== 'string') throw new TypeError('Suffix must be a string');
+
+  const cost = countBy === 'byte' ? utf8ByteLength : () => 1;
+  const settings = { suffix: options.suffix, boundary, cost };
+
+  if (html) {
+    if (position !== 'end') throw new RangeError('HTML truncation only supports position "end"');
+    return truncateHtml(str, length, settings);
+  }
+
+  const units = splitGraphemes(str);
+  const costs = units.map(cost);
+  if (sumCosts(costs) <= length) return str;
+
+  const budget = length - measure(options.suffix, cost);
+  if (budget < 0) return fitSuffix(options.suffix, length, cost);
 
-  if (addSuffix && suffix) {
-    return str.slice(0, length - suffix.length) + suffix;
+  if (position === 'end') {
+    return units.slice(0, cutEnd(units, costs, budget, boundary)).join('') + options.suffix;
   }
 
-  return str.slice(0, length);
+  let front = fitCount(costs, Math.ceil(budget / 2));
+  if (boundary === 'word') front = wordBoundaryBefore(units, front);
+  const backBudget = budget - sumCosts(costs, 0, front);
+  let back = Math.max(front, units.length - fitCount([...costs].reverse(), backBudget));
+  if (boundary === 'word') back = wordBoundaryAfter(units, back);
+  while (front > 0 && isSpace(units[front - 1])) front--;
+  while (back < units.length && isSpace(units[back])) back++;
+
+  return units.slice(0, front).join('') + options.suffix + units.slice(back).join('');
+};
+
+const NORMALIZATION_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+const PUNCTUATION_FOLDS = {
+  '\u2018': "'", '\u2019': "'", '\u201A': "'", '\u201B': "'", '\u2032': "'", '\u2039': "'", '\u203A': "'",
+  '\u201C': '"', '\u201D': '"', '\u201E': '"', '\u201F': '"', '\u2033': '"', '«': '"', '»': '"',
+  '\u2010': '-', '\u2011': '-', '\u2012': '-', '\u2013': '-', '\u2014': '-', '\u2015': '-', '\u2212': '-',
+  '\u2026': '...'
 };
+const PUNCTUATION_FOLD_PATTERN = new RegExp(`[${Object.keys(PUNCTUATION_FOLDS).join('')}]`, 'g');
+
+// A tag sequence after a black flag (U+1F3F4) is a subdivision flag such as England's,
+// so it is kept; the first group captures it.
+const INVISIBLE_PATTERN = /(\u{1F3F4}[\u{E0020}-\u{E007E}]+\u{E007F})|(?<!\p{Extended_Pictographic}\uFE0F?)\u200D|\u200D(?!\p{Extended_Pictographic})|[^\P{Cf}\u200D]|[^\P{Cc}\t\n\r]/gu;
+
+/**
+ * Normalizes text for comparison and search indexing.
+ * Steps run in this order, each only when enabled: remove invisible characters,
+ * full-width to half-width, fold punctuation, remove diacritics, Unicode
+ * normalization, case folding, collapse whitespace.
+ * @param {string} str - The input string.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.form='NFC'] - Unicode normalization form: 'NFC', 'NFD', 'NFKC' or 'NFKD'.
+ * @param {boolean} [options.removeInvisible=false] - Remove zero-width, format and control
+ *   characters (line breaks and tabs are kept, and so are joiners and subdivision-flag tags
+ *   inside emoji).
+ * @param {boolean} [options.halfWidth=false] - Convert full-width ASCII and the ideographic space.
+ * @param {boolean} [options.foldPunctuation=false] - Convert smart quotes, dashes and '\u2026' to ASCII.
+ * @param {boolean} [options.removeDiacritics=false] - Remove accents from Latin, Greek and Cyrillic letters.
+ * @param {boolean} [options.caseFold=false] - Fold case for caseless comparison ('ß' becomes 'ss').
+ * @param {string} [options.locale] - Locale used for case folding.
+ * @param {boolean} [options.collapseWhitespace=false] - Turn runs of any Unicode whitespace
+ *   into one space and trim the ends.
+ * @returns {string} The normalized string.
+ * @example
+ * normalizeText('Ｃａｆé \u201CDéjà vu\u201D', { halfWidth: true, removeDiacritics: true, foldPunctuation: true });
+ * // 'Cafe "Deja vu"'
+ * normalizeText(' Straße\u00A0\u200Bbauen ', { caseFold: true, removeInvisible: true, collapseWhitespace: true });
+ * // 'strasse bauen'
+ */
+export const normalizeText = (str, options = {}) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const {
+    form = 'NFC',
+    removeInvisible = false,
+    halfWidth = false,
+    foldPunctuation = false,
+    removeDiacritics = false,
+    caseFold = false,
+    locale,
+    collapseWhitespace = false
+  } = options;
+  if (!NORMALIZATION_FORMS.includes(form)) throw new RangeError(`Unknown normalization form: ${form}`);
+
+  let text = str;
+  if (removeInvisible) {
+    text = text.replace(INVISIBLE_PATTERN, (match, tagSequence) => tagSequence || '');
+  }
+  if (halfWidth) {
+    text = text
+      .replace(/[\uFF01-\uFF5E]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+      .replace(/\u3000/g, ' ');
+  }
+  if (foldPunctuation) text = text.replace(PUNCTUATION_FOLD_PATTERN, char => PUNCTUATION_FOLDS[char]);
+  if (removeDiacritics) {
+    text = text
+      .normalize('NFD')
+      .replace(/(?<=[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}]\p{M}*)\p{M}/gu, '')
+      // Letters with a stroke have no decomposition, so removing marks does not reach them.
+      .replace(/[øØłŁđĐħĦ]/g, char => transliterateChar(char, LATIN_MAP));
+  }
+  text = text.normalize(form);
+  if (caseFold) {
+    text = (locale ? text.toLocaleLowerCase(locale) : text.toLowerCase())
+      .replace(/ß|ẞ/g, 'ss')
+      .replace(/ς/g, 'σ');
+  }
+  if (collapseWhitespace) text = text.replace(/[\s\p{Z}]+/gu, ' ').trim();
+  return text;
+}
 
 /**
  * Checks if a string is a palindrome.
+ * Case, whitespace, punctuation and symbols other than emoji are ignored; characters are
+ * compared as grapheme clusters.
  * @param {string} str - The input string.
+ * @param {Object} [options] - Options.
+ * @param {Object} [options.normalize] - normalizeText options applied first.
  * @returns {boolean} True if the string is a palindrome.
  * @example
  * isPalindrome('racecar'); // true
+ * isPalindrome('été'); // true
+ * isPalindrome('Ésope reste ici et se repose', { normalize: { removeDiacritics: true } }); // true
  */
-export const isPalindrome = (str) => {
+export const isPalindrome = (str, options = {}) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
-  const cleaned = str.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
-  return cleaned === cleaned.split('').reverse().join('');
+  const text = options.normalize ? normalizeText(str, options.normalize) : str;
+  const cleaned = text.normalize('NFC')
+    .replace(/[\p{P}\p{Z}\p{Cc}]|(?![\p{Extended_Pictographic}\p{Emoji_Modifier}])\p{S}/gu, '')
+    .toLowerCase();
+  return cleaned === reverse(cleaned);
 }
 
 /**
  * Masks a string (useful for sensitive data)
+ * Characters are counted as grapheme clusters.
  * @param {string} str - The string to mask
  * @param {number} visibleChars - Number of visible characters at start/end
  * @param {string} maskChar - Character to use for masking
@@ -146,44 +795,245 @@ export const isPalindrome = (str) => {
  * mask('secret', 1); // 's****t'
  */
 export const mask = (str, visibleChars = 4, maskChar = '*') => {
-  if (!str || str.length <= visibleChars * 2) return str;
-  const start = str.substring(0, visibleChars);
-  const end = str.substring(str.length - visibleChars);
-  const masked = maskChar.repeat(str.length - visibleChars * 2);
+  if (!str) return str;
+  const chars = splitGraphemes(str);
+  if (chars.length <= visibleChars * 2) return str;
+  const start = chars.slice(0, visibleChars).join('');
+  const end = chars.slice(chars.length - visibleChars).join('');
+  const masked = maskChar.repeat(chars.length - visibleChars * 2);
   return start + masked + end;
 };
 
+// Letters that do not decompose into a base letter plus marks.
+const LATIN_MAP = {
+  'ß': 'ss', 'æ': 'ae', 'ø': 'o', 'œ': 'oe', 'ð': 'd', 'þ': 'th',
+  'ł': 'l', 'đ': 'd', 'ħ': 'h', 'ı': 'i', 'ŋ': 'ng', 'ŀ': 'l', 'ſ': 's'
+};
+
+const CYRILLIC_MAP = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo',
+  'ж': 'zh', 'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm',
+  'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u',
+  'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '',
+  'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+  'і': 'i', 'ї': 'yi', 'є': 'ye', 'ґ': 'g', 'ў': 'u', 'ђ': 'dj', 'ј': 'j',
+  'љ': 'lj', 'њ': 'nj', 'ћ': 'c', 'џ': 'dz'
+};
+
+const GREEK_MAP = {
+  'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i',
+  'θ': 'th', 'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x',
+  'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y',
+  'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+const LOCALE_MAPS = {
+  de: { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue' }
+};
+
+const TRANSLITERATION_MAP = { ...LATIN_MAP, ...CYRILLIC_MAP, ...GREEK_MAP };
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Transliterates one character, keeping the case of uppercase letters ('Щ' -> 'Shch').
+const transliterateChar = (char, map) => {
+  const lower = char.toLowerCase();
+  let replacement = map[lower];
+  if (replacement === undefined) {
+    const base = lower.normalize('NFD').replace(/\p{M}/gu, '');
+    replacement = map[base] !== undefined ? map[base] : base;
+  }
+  if (lower === char || !replacement) return replacement;
+  return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+};
+
 /**
  * Converts a string to a URL slug.
+ * Latin diacritics, German, Cyrillic and Greek letters are transliterated to ASCII;
+ * other letters and digits are kept as they are.
  * @param {string} str - The input string.
+ * @param {Object} [options] - Slug options.
+ * @param {string} [options.separator='-'] - The word separator.
+ * @param {number} [options.maxLength] - Maximum length, cut on a word boundary.
+ * @param {boolean} [options.preserveCase=false] - Keep the original letter case.
+ * @param {string} [options.locale] - Locale for language-specific rules ('de' maps 'ä' to 'ae')
+ *   and lowercasing.
+ * @param {Object} [options.replacements] - Extra replacements applied first, e.g. { '&': 'and' }.
+ * @param {Object} [options.normalize] - normalizeText options applied before anything else.
  * @returns {string} The slugified string.
  * @example
  * slugify('Hello World!'); // 'hello-world'
+ * slugify('Crème Brûlée'); // 'creme-brulee'
+ * slugify('Größe ändern', { locale: 'de' }); // 'groesse-aendern'
+ * slugify('Привет мир', { separator: '_' }); // 'privet_mir'
+ * slugify('ＦＵＬＬ\u200bＷＩＤＴＨ', { normalize: { halfWidth: true, removeInvisible: true } }); // 'fullwidth'
  */
-export const slugify = (str) => {
+export const slugify = (str, options = {}) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
-  return str
-    .toLowerCase()
-    .trim()
-    .replace(/[^\w\s-]/g, '')
-    .replace(/[\s_-]+/g, '-')
-    .replace(/^-+|-+$/g, '');
+  const {
+    separator = '-',
+    maxLength,
+    preserveCase = false,
+    locale,
+    replacements = {},
+    normalize
+  } = options;
+
+  const language = locale ? locale.toLowerCase().split(/[-_]/)[0] : '';
+  const map = { ...TRANSLITERATION_MAP, ...LOCALE_MAPS[language] };
+  const keys = Object.keys(replacements).sort((a, b) => b.length - a.length);
+
+  let text = normalize ? normalizeText(str, normalize) : str;
+  if (keys.length > 0) {
+    const pattern = new RegExp(keys.map(escapeRegExp).join('|'), 'g');
+    text = text.replace(pattern, match => ` ${replacements[match]} `);
+  }
+  if (!preserveCase) text = locale ? text.toLocaleLowerCase(locale) : text.toLowerCase();
+  text = Array.from(text.normalize('NFC'), char => transliterateChar(char, map)).join('');
+
+  const parts = text
+    .replace(APOSTROPHE_PATTERN, '')
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+
+  if (maxLength === undefined) return parts.join(separator);
+
+  let slug = '';
+  for (const part of parts) {
+    const next = slug ? slug + separator + part : part;
+    if (next.length > maxLength) break;
+    slug = next;
+  }
+  return slug || (parts[0] || '').slice(0, maxLength);
+}
+
+/**
+ * Creates a slugger that remembers issued slugs and makes repeats unique,
+ * the way GitHub builds heading anchors.
+ * @param {Object} [options] - Options passed on to slugify.
+ * @param {string} [options.fallback='untitled'] - Base used when a string slugifies to
+ *   nothing (e.g. only punctuation or emoji).
+ * @returns {{slug: Function, reset: Function}} The slugger.
+ * @example
+ * const slugger = createSlugger();
+ * slugger.slug('Usage'); // 'usage'
+ * slugger.slug('Usage'); // 'usage-2'
+ * slugger.slug('Usage'); // 'usage-3'
+ * slugger.slug('!!!'); // 'untitled'
+ * slugger.reset();
+ */
+export const createSlugger = (options = {}) => {
+  const separator = options.separator === undefined ? '-' : options.separator;
+  const { fallback = 'untitled' } = options;
+  if (typeof fallback !== 'string' || !fallback) throw new TypeError('Fallback must be a non-empty string');
+  const issued = new Set();
+
+  return {
+    slug(str) {
+      const base = slugify(str, options) || fallback;
+      let slug = base;
+      for (let n = 2; issued.has(slug); n++) {
+        slug = `${base}${separator}${n}`;
+      }
+      issued.add(slug);
+      return slug;
+    },
+    reset() {
+      issued.clear();
+    }
+  };
 }
 
+const hasSegmenter = () => typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function';
+
+// Word segments per Intl.Segmenter, so scripts without spaces (e.g. Japanese) are split too.
+const segmentWords = (str, locale) => {
+  if (!hasSegmenter()) return str.match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu) || [];
+  return Array.from(new Intl.Segmenter(locale, { granularity: 'word' }).segment(str))
+    .filter(({ isWordLike }) => isWordLike)
+    .map(({ segment }) => segment);
+};
+
+const segmentSentences = (str, locale) => {
+  const sentences = hasSegmenter()
+    ? Array.from(new Intl.Segmenter(locale, { granularity: 'sentence' }).segment(str), ({ segment }) => segment)
+    : str.split(/(?<=[.!?。！？])\s+/);
+  return sentences.filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+};
+
+// Heuristic English syllable count.
+const countSyllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return 0;
+  if (letters.length <= 3) return 1;
+  const trimmed = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  return (trimmed.match(/[aeiouy]{1,2}/g) || []).length || 1;
+};
+
 /**
  * Counts the number of words in a string.
+ * Words are found with Intl.Segmenter, so punctuation such as '—' is not counted
+ * and text without spaces (Chinese, Japanese, Thai) is split into words.
  * @param {string} str - The input string.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.locale] - Locale used for word segmentation.
  * @returns {number} The word count.
  * @example
  * countWords('Hello world!'); // 2
+ * countWords('Wait — what?'); // 2
+ * countWords('私は学生です', { locale: 'ja' }); // 4
+ */
+export const countWords = (str, options = {}) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  return segmentWords(str, options.locale).length;
+}
+
+/**
+ * Calculates statistics for a text.
+ * Paragraphs are separated by blank lines. The Flesch reading ease score
+ * (higher is easier, 0-100 for most texts) is only calculated for English.
+ * @param {string} str - The input string.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.locale='en'] - Locale used for word and sentence segmentation.
+ * @param {number} [options.wordsPerMinute=200] - Reading speed used for the reading time.
+ * @returns {{words: number, sentences: number, paragraphs: number, graphemes: number,
+ *   readingTime: number, averageSentenceLength: number, fleschReadingEase: number|null}}
+ *   The statistics; `readingTime` is in whole minutes, rounded up.
+ * @example
+ * textStats('The cat sat. The dog ran.');
+ * // { words: 6, sentences: 2, paragraphs: 1, graphemes: 25, readingTime: 1,
+ * //   averageSentenceLength: 3, fleschReadingEase: 119.19 }
  */
-export const countWords = (str) => {
+export const textStats = (str, options = {}) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
-  return str.trim().split(/\s+/).filter(word => word.length > 0).length;
+  const { locale = 'en', wordsPerMinute = 200 } = options;
+  if (typeof wordsPerMinute !== 'number' || wordsPerMinute <= 0) throw new RangeError('wordsPerMinute must be a positive number');
+
+  const wordList = segmentWords(str, locale);
+  const words = wordList.length;
+  const sentences = segmentSentences(str, locale).length;
+  const averageSentenceLength = sentences ? Math.round((words / sentences) * 100) / 100 : 0;
+
+  let fleschReadingEase = null;
+  if (words && /^en\b/i.test(locale)) {
+    const syllables = wordList.reduce((total, word) => total + countSyllables(word), 0);
+    const score = 206.835 - 1.015 * (words / sentences || words) - 84.6 * (syllables / words);
+    fleschReadingEase = Math.round(score * 100) / 100;
+  }
+
+  return {
+    words,
+    sentences,
+    paragraphs: str.split(/\n\s*\n/).filter(paragraph => paragraph.trim()).length,
+    graphemes: splitGraphemes(str).length,
+    readingTime: Math.ceil(words / wordsPerMinute),
+    averageSentenceLength,
+    fleschReadingEase
+  };
 }
 
 /**
- * Removes duplicate characters from a string.
+ * Removes duplicate characters (grapheme clusters) from a string.
  * @param {string} str - The input string.
  * @returns {string} The string with duplicates removed.
  * @example
@@ -191,7 +1041,7 @@ export const countWords = (str) => {
  */
 export const removeDuplicates = (str) => {
   if (typeof str !== 'string') throw new TypeError('Input must be a string');
-  return [...new Set(str)].join('');
+  return [...new Set(splitGraphemes(str))].join('');
 }
 
 /**
@@ -206,6 +1056,99 @@ export const removeWhitespace = (str) => {
   return str.replace(/\s+/g, '');
 };
 
+// Candidate patterns per entity type; matches are trimmed and validated afterwards.
+const ENTITY_PATTERNS = {
+  url: /(?<![\w.@/-])(?:https?:\/\/|www\.)[^\s<>"]+/giu,
+  email: /(?<![\p{L}\p{N}._%+-])[\w.!#$%&'*+/=?^`{|}~-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu,
+  ip: /(?<![\w.:])(?:(?:\d{1,3}\.){3}\d{1,3}|(?:[\da-f]{0,4}:){2,7}[\da-f]{0,4}(?:\.\d{1,3}){0,3})(?![\w:]|\.\d)/giu,
+  phone: /(?<![\w+])(?:\+\d{1,3}(?:[ .-]?\(?\d{1,4}\)?){2,5}|(?:\(\d{3}\) ?|\d{3}[ .-])\d{3}[ .-]\d{4})(?!\w)/gu,
+  mention: /(?<![\p{L}\p{N}_@.])@[\p{L}\p{N}_]{1,30}(?![\p{L}\p{N}_@])/gu,
+  hashtag: /(?<![\p{L}\p{N}_&#])#[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*/gu,
+  emoji: /[#*\d]\uFE0F?\u20E3|\p{RI}\p{RI}|(?:\p{Extended_Pictographic}\uFE0F|\p{Emoji_Presentation})\p{EMod}?(?:\u200D\p{Extended_Pictographic}\uFE0F?\p{EMod}?)*/gu
+};
+
+// Earlier types win when two candidates start at the same place with the same length.
+const ENTITY_TYPES = Object.keys(ENTITY_PATTERNS);
+
+// Drops trailing punctuation and closing brackets that have no opening partner.
+const trimUrl = (url) => {
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+  let end = url.length;
+  while (end > 0) {
+    const char = url[end - 1];
+    const body = url.slice(0, end);
+    if (/[.,;:!?'"*]/.test(char)) end--;
+    else if (pairs[char] && body.split(char).length > body.split(pairs[char]).length) end--;
+    else break;
+  }
+  return url.slice(0, end);
+};
+
+const ENTITY_CHECKS = {
+  url: (value) => trimUrl(value),
+  email: (value) => {
+    const email = value.replace(/[.-]+$/, '');
+    return isEmail(email) ? email : null;
+  },
+  ip: (value) => (/[\da-f]/i.test(value) && isIp(value) ? value : null),
+  phone: (value) => {
+    const digits = value.replace(/\D/g, '').length;
+    return digits >= 7 && digits <= 15 ? value : null;
+  },
+  mention: (value) => value,
+  hashtag: (value) => value,
+  emoji: (value) => value
+};
+
+// Runs each detector's pattern over the string and keeps non-overlapping matches.
+// On ties (same start and length) the earlier detector wins.
+const findEntities = (str, detectors) => {
+  const candidates = [];
+  detectors.forEach(({ type, pattern, check }, priority) => {
+    for (const match of str.matchAll(pattern)) {
+      const value = check(match[0]);
+      if (value) candidates.push({ type, value, start: match.index, end: match.index + value.length, priority });
+    }
+  });
+
+  candidates.sort((a, b) => a.start - b.start || b.end - a.end || a.priority - b.priority);
+  let lastEnd = 0;
+  return candidates
+    .filter(entity => {
+      if (entity.start < lastEnd) return false;
+      lastEnd = entity.end;
+      return true;
+    })
+    .map(({ type, value, start, end }) => ({ type, value, start, end }));
+};
+
+/**
+ * Finds emails, URLs, mentions, hashtags, phone numbers, IP addresses and emoji in a string.
+ * URLs may be bare `www.` domains; trailing punctuation and unbalanced closing
+ * brackets are left out. Overlapping matches keep the one that starts first.
+ * @param {string} str - The string to search
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.types] - Entity types to find (default: all)
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} Entities in
+ *   order, with UTF-16 offsets (`end` is exclusive)
+ * @example
+ * extractEntities('Ping @jane about https://x.com/a_(b).');
+ * // [{ type: 'mention', value: '@jane', start: 5, end: 10 },
+ * //  { type: 'url', value: 'https://x.com/a_(b)', start: 17, end: 36 }]
+ */
+export const extractEntities = (str, options = {}) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const { types = ENTITY_TYPES } = options;
+  types.forEach(type => {
+    if (!ENTITY_PATTERNS[type]) throw new RangeError(`Unknown entity type: ${type}`);
+  });
+
+  const detectors = ENTITY_TYPES
+    .filter(type => types.includes(type))
+    .map(type => ({ type, pattern: ENTITY_PATTERNS[type], check: ENTITY_CHECKS[type] }));
+  return findEntities(str, detectors);
+};
+
 /**
  * Extracts all email addresses from a string
  * @param {string} str - The string to search
@@ -215,33 +1158,269 @@ export const removeWhitespace = (str) => {
  */
 export const extractEmails = (str) => {
   if (!str) return [];
-  const emailRegex = /[\w.-]+@[\w.-]+\.\w+/g;
-  return str.match(emailRegex) || [];
+  return extractEntities(str, { types: ['email'] }).map(entity => entity.value);
 };
 
 /**
- * Extracts all URLs from a string
+ * Extracts all URLs from a string, including bare `www.` domains
  * @param {string} str - The string to search
  * @returns {Array<string>} Array of URLs
  * @example
  * extractUrls('Visit https://example.com or http://test.org'); // ['https://example.com', 'http://test.org']
+ * extractUrls('See www.example.com.'); // ['www.example.com']
  */
 export const extractUrls = (str) => {
   if (!str) return [];
-  const urlRegex = /(https?:\/\/[^\s]+)/g;
-  return str.match(urlRegex) || [];
+  return extractEntities(str, { types: ['url'] }).map(entity => entity.value);
+};
+
+const LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+const defaultLinkRender = (entity) => {
+  if (entity.type === 'url') return { href: /^www\./i.test(entity.value) ? `http://${entity.value}` : entity.value };
+  if (entity.type === 'email') return { href: `mailto:${entity.value}` };
+  return null;
+};
+
+/**
+ * Turns URLs and emails in plain text into HTML links.
+ * All text and attribute values are escaped with escapeHtml, and links whose
+ * `href` uses a scheme other than http, https, mailto or tel are left as text.
+ * @param {string} str - The plain text
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.types=['url', 'email']] - Entity types to link (see extractEntities)
+ * @param {Function} [options.render] - Called with each entity; returns the anchor's
+ *   attributes (including `href`), or null to leave the entity as text
+ * @returns {string} HTML
+ * @example
+ * linkify('Mail a@b.co or see www.x.com!'); // 'Mail <a href="mailto:a@b.co">a@b.co</a> or see <a href="http://www.x.com">www.x.com</a>!'
+ * linkify('Hi @jane', { types: ['mention'], render: e => ({ href: `/u/${e.value.slice(1)}` }) });
+ * // 'Hi <a href="/u/jane">@jane</a>'
+ */
+export const linkify = (str, options = {}) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const { types = ['url', 'email'], render = defaultLinkRender } = options;
+
+  let out = '';
+  let index = 0;
+  extractEntities(str, { types }).forEach(entity => {
+    const attributes = render(entity);
+    if (!attributes || !attributes.href || !isSafeUrl(String(attributes.href), LINK_SCHEMES)) return;
+    const html = Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null && value !== false)
+      .map(([name, value]) => ` ${name}="${escapeHtml(String(value))}"`)
+      .join('');
+    out += escapeHtml(str.slice(index, entity.start)) + `<a${html}>${escapeHtml(entity.value)}</a>`;
+    index = entity.end;
+  });
+  return out + escapeHtml(str.slice(index));
+};
+
+// Shrinks an IBAN candidate group by group until it passes the checksum.
+const trimIban = (value) => {
+  let candidate = value;
+  while (candidate.replace(/ /g, '').length >= 15) {
+    if (isIban(candidate)) return candidate;
+    candidate = candidate.replace(/ ?[A-Z\d]{1,4}$/i, '');
+  }
+  return null;
+};
+
+// Masks every letter and digit except the first `keepStart` and last `keepEnd`, leaving separators.
+const maskAlnum = (value, maskChar, keepStart = 0, keepEnd = 0) => {
+  const positions = [...value.matchAll(/[\p{L}\p{N}]/gu)].map(match => match.index);
+  const visible = new Set([...positions.slice(0, keepStart), ...positions.slice(positions.length - keepEnd)]);
+  return Array.from(value, (char, i) => (/[\p{L}\p{N}]/u.test(char) && !visible.has(i) ? maskChar : char)).join('');
+};
+
+const REDACT_DETECTORS = {
+  email: {
+    pattern: ENTITY_PATTERNS.email,
+    check: ENTITY_CHECKS.email,
+    mask: (value, maskChar) => {
+      const at = value.lastIndexOf('@');
+      const labels = value.slice(at + 1).split('.');
+      // Single-character parts are masked whole, so something is always hidden.
+      const hide = part => part.length > 1 ? part.charAt(0) + maskChar.repeat(part.length - 1) : maskChar;
+      return `${hide(value.slice(0, at))}@${labels.slice(0, -1).map(hide).join('.')}.${labels[labels.length - 1]}`;
+    }
+  },
+  card: {
+    pattern: /(?<![\d-])\d(?:[ -]?\d){11,18}(?![\d-])/g,
+    check: (value) => (isCreditCard(value) ? value : null),
+    mask: (value, maskChar) => maskAlnum(value, maskChar, 0, 4)
+  },
+  iban: {
+    pattern: /(?<![\w])[A-Z]{2}\d{2}(?: ?[A-Z\d]{4}){2,7}(?: ?[A-Z\d]{1,4})?(?!\w)/gi,
+    check: trimIban,
+    mask: (value, maskChar) => maskAlnum(value, maskChar, 2, 4)
+  },
+  apiKey: {
+    pattern: new RegExp('(?<![\\w-])(?:' + [
+      '(?:sk|pk|rk)_(?:live|test)_[\\dA-Za-z]{10,}',
+      'sk-[\\w-]{20,}',
+      'gh[oprsu]_[\\dA-Za-z]{36,}',
+      'github_pat_\\w{22,}',
+      'xox[abprs]-[\\dA-Za-z-]{10,}',
+      'AKIA[\\dA-Z]{16}',
+      'AIza[\\w-]{35}',
+      'eyJ[\\w-]+\\.eyJ[\\w-]+\\.[\\w-]+',
+      // Generic tokens: 32+ characters mixing digits, lowercase and uppercase letters.
+      '(?=[\\w-]*\\d)(?=[\\w-]*[a-z])(?=[\\w-]*[A-Z])[\\w-]{32,}'
+    ].join('|') + ')(?![\\w-])', 'g'),
+    check: (value) => value,
+    mask: (value, maskChar) => mask(value, 4, maskChar)
+  },
+  phone: {
+    pattern: ENTITY_PATTERNS.phone,
+    check: ENTITY_CHECKS.phone,
+    mask: (value, maskChar) => maskAlnum(value, maskChar, 0, 2)
+  },
+  ip: {
+    pattern: ENTITY_PATTERNS.ip,
+    check: ENTITY_CHECKS.ip,
+    mask: (value, maskChar) => {
+      const [first, ...rest] = value.split(value.includes(':') ? ':' : '.');
+      return [first, ...rest.map(part => part.replace(/[\da-f]/gi, maskChar))].join(value.includes(':') ? ':' : '.');
+    }
+  }
+};
+
+/**
+ * Redacts personal data and secrets in free text.
+ * Built-in detectors are 'email', 'card' (numbers that pass the Luhn check),
+ * 'iban', 'apiKey', 'phone' and 'ip'. Custom detectors are objects with a
+ * `type`, a `pattern` and an optional `validate(value)` function.
+ * @param {string} text - The text to redact
+ * @param {Object} [options] - Options
+ * @param {Array<string|Object>} [options.detectors] - Detectors to run (default: all built-ins)
+ * @param {string|Function} [options.strategy='mask'] - 'mask' (format-preserving),
+ *   'placeholder' (`[EMAIL]`), 'hash' (`[EMAIL:<hash>]`), or a function
+ *   called with `{ type, value }` that returns the replacement
+ * @param {string} [options.maskChar='*'] - Character used by the 'mask' strategy; the
+ *   'mask' strategy always hides at least one character
+ * @param {Function} [options.hash] - Keyed hash, required by the 'hash' strategy: called with
+ *   the value, returns the token, e.g. an HMAC with a secret key. Unkeyed or weak hashes
+ *   let short values such as card or phone numbers be recovered by brute force
+ * @returns {{text: string, redactions: Array<{type: string, start: number, end: number, replacement: string}>}}
+ *   The redacted text and what was replaced (offsets refer to the original text)
+ * @example
+ * redact('Mail jane@example.com, card 4242 4242 4242 4242').text;
+ * // 'Mail j***@e******.com, card **** **** **** 4242'
+ * redact('jane@example.com', { strategy: 'placeholder' }).text; // '[EMAIL]'
+ */
+export const redact = (text, options = {}) => {
+  if (typeof text !== 'string') throw new TypeError('Input must be a string');
+  const { detectors = Object.keys(REDACT_DETECTORS), strategy = 'mask', maskChar = '*', hash } = options;
+  if (typeof strategy !== 'function' && !['mask', 'placeholder', 'hash'].includes(strategy)) {
+    throw new RangeError(`Unknown redaction strategy: ${strategy}`);
+  }
+  if (strategy === 'hash' && typeof hash !== 'function') {
+    throw new TypeError('The hash strategy requires a hash function');
+  }
+
+  const resolved = detectors.map(detector => {
+    if (typeof detector === 'string') {
+      if (!REDACT_DETECTORS[detector]) throw new RangeError(`Unknown detector: ${detector}`);
+      return { type: detector, ...REDACT_DETECTORS[detector] };
+    }
+    if (!detector || typeof detector.type !== 'string' || !(detector.pattern instanceof RegExp)) {
+      throw new TypeError('Custom detectors need a type and a RegExp pattern');
+    }
+    const { type, pattern, validate } = detector;
+    return {
+      type,
+      pattern: new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`),
+      check: (value) => (!validate || validate(value) ? value : null),
+      mask: (value, char) => maskAlnum(value, char)
+    };
+  });
+  const masks = new Map(resolved.map(detector => [detector.type, detector.mask]));
+
+  const replace = ({ type, value }) => {
+    if (typeof strategy === 'function') return String(strategy({ type, value }));
+    if (strategy === 'placeholder') return `[${toConstantCase(type)}]`;
+    if (strategy === 'hash') return `[${toConstantCase(type)}:${hash(value)}]`;
+    const masked = masks.get(type)(value, maskChar);
+    return masked === value ? maskChar.repeat(Array.from(value).length) : masked;
+  };
+
+  let out = '';
+  let index = 0;
+  const redactions = findEntities(text, resolved).map(entity => {
+    const replacement = replace(entity);
+    out += text.slice(index, entity.start) + replacement;
+    index = entity.end;
+    return { type: entity.type, start: entity.start, end: entity.end, replacement };
+  });
+  return { text: out + text.slice(index), redactions };
+};
+
+const LATIN1_ENTITY_NAMES = (
+  'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr ' +
+  'deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest ' +
+  'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ' +
+  'ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig ' +
+  'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+  'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml'
+).split(' ');
+
+const NAMED_ENTITIES = {
+  amp: 38, lt: 60, gt: 62, quot: 34, apos: 39,
+  OElig: 338, oelig: 339, Scaron: 352, scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732,
+  ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207,
+  ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220, rdquo: 8221,
+  bdquo: 8222, dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240, prime: 8242,
+  Prime: 8243, lsaquo: 8249, rsaquo: 8250, euro: 8364, trade: 8482, larr: 8592, uarr: 8593,
+  rarr: 8594, darr: 8595, harr: 8596, minus: 8722, infin: 8734, ne: 8800, le: 8804, ge: 8805,
+  hearts: 9829
+};
+LATIN1_ENTITY_NAMES.forEach((name, i) => {
+  NAMED_ENTITIES[name] = 160 + i;
+});
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tr', 'ul'
+]);
+
+// Elements whose content is dropped along with the tag when they are not allowed.
+const DISCARD_CONTENT_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select', 'title'
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'cite', 'poster', 'xlink:href']);
+
+const SANITIZE_DEFAULTS = {
+  allowedTags: [
+    'a', 'b', 'blockquote', 'br', 'code', 'em', 'i', 'li', 'ol', 'p', 'pre', 's', 'strong', 'u', 'ul'
+  ],
+  allowedAttributes: { a: ['href', 'title'] },
+  allowedSchemes: ['http', 'https', 'mailto']
 };
 
 /**
  * Removes HTML tags from a string
+ * Script and style contents are dropped, entities are decoded and block-level
+ * elements become line breaks.
  * @param {string} str - The string containing HTML
  * @returns {string} String without HTML tags
  * @example
  * stripHtml('<p>Hello <b>World</b></p>'); // 'Hello World'
+ * stripHtml('<p>One</p><p>Two &amp; three</p><script>x()</script>'); // 'One\nTwo & three'
  */
 export const stripHtml = (str) => {
   if (!str) return '';
-  return str.replace(/<[^>]*>/g, '');
+  const text = tokenizeHtml(str).map(token => {
+    if (token.type === 'text') return unescapeHtml(token.value);
+    if ((token.type === 'open' || token.type === 'close') && BLOCK_ELEMENTS.has(token.name)) return '\n';
+    return '';
+  }).join('');
+
+  return text
+    .replace(/[ \t]*\n\s*/g, '\n')
+    .replace(/^\n+|\n+$/g, '');
 };
 
 /**
@@ -264,46 +1443,144 @@ export const escapeHtml = (str) => {
 };
 
 /**
- * Checks if a string contains only numbers
+ * Decodes HTML entities, the inverse of escapeHtml
+ * Handles numeric entities and the common named ones; unknown names are left as they are.
+ * @param {string} str - The string to decode
+ * @returns {string} The decoded string
+ * @example
+ * unescapeHtml('&lt;p&gt;Fish &amp; chips&lt;/p&gt;'); // '<p>Fish & chips</p>'
+ * unescapeHtml('&eacute;&#233;&#xE9;'); // 'ééé'
+ */
+export const unescapeHtml = (str) => {
+  if (!str) return '';
+  return str.replace(/&(?:#(\d+)|#x([\da-f]+)|([a-z][a-z\d]*));/gi, (entity, dec, hex, name) => {
+    if (name) {
+      return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)
+        ? String.fromCodePoint(NAMED_ENTITIES[name])
+        : entity;
+    }
+    const codePoint = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    const isValid = codePoint > 0 && codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff);
+    return isValid ? String.fromCodePoint(codePoint) : '\uFFFD';
+  });
+};
+
+const isSafeUrl = (value, allowedSchemes) => {
+  // Browsers ignore control characters and whitespace inside the scheme ('java\tscript:').
+  const url = value.replace(/[\u0000- \u007f]/g, '').toLowerCase();
+  const scheme = /^([a-z][a-z\d+.-]*):/.exec(url);
+  return !scheme || allowedSchemes.includes(scheme[1]);
+};
+
+/**
+ * Sanitizes HTML against an allowlist
+ * Disallowed tags are removed but their text is kept, except for script-like
+ * elements whose content is dropped. Event handler attributes are always removed,
+ * URLs must use an allowed scheme, and unclosed tags are closed.
+ * @param {string} str - The HTML to sanitize
+ * @param {Object} [options] - Sanitizer options
+ * @param {Array<string>} [options.allowedTags] - Tags to keep
+ * @param {Object} [options.allowedAttributes] - Attributes to keep per tag; '*' applies to every tag
+ * @param {Array<string>} [options.allowedSchemes=['http', 'https', 'mailto']] - Allowed URL schemes
+ * @returns {string} Safe HTML
+ * @example
+ * sanitizeHtml('<p onclick="x()">Hi <script>alert(1)</script><a href="javascript:x()">link</a></p>');
+ * // '<p>Hi <a>link</a></p>'
+ */
+export const sanitizeHtml = (str, options = {}) => {
+  if (!str) return '';
+  const {
+    allowedTags,
+    allowedAttributes,
+    allowedSchemes
+  } = { ...SANITIZE_DEFAULTS, ...options };
+  const tags = new Set(allowedTags.map(tag => tag.toLowerCase()));
+  const schemes = allowedSchemes.map(scheme => scheme.toLowerCase());
+  const attributesFor = (name) => [...(allowedAttributes[name] || []), ...(allowedAttributes['*'] || [])];
+
+  const stack = [];
+  let discard = null;
+  let discardDepth = 0;
+  let out = '';
+
+  tokenizeHtml(str).forEach(token => {
+    if (discard) {
+      if (token.type === 'open' && token.name === discard && !token.selfClosing) discardDepth++;
+      if (token.type === 'close' && token.name === discard && --discardDepth === 0) discard = null;
+      return;
+    }
+
+    if (token.type === 'text') {
+      out += escapeHtml(unescapeHtml(token.value));
+      return;
+    }
+
+    if (token.type === 'open') {
+      if (!tags.has(token.name)) {
+        if (DISCARD_CONTENT_ELEMENTS.has(token.name) && !token.selfClosing) {
+          discard = token.name;
+          discardDepth = 1;
+        }
+        return;
+      }
+      const allowed = attributesFor(token.name);
+      const attributes = token.attributes
+        .filter(({ name }) => allowed.includes(name) && !name.startsWith('on'))
+        .filter(({ name, value }) => !URL_ATTRIBUTES.has(name) || isSafeUrl(unescapeHtml(value), schemes))
+        .map(({ name, value }) => ` ${name}="${escapeHtml(unescapeHtml(value))}"`)
+        .join('');
+      out += `<${token.name}${attributes}>`;
+      if (VOID_ELEMENTS.has(token.name)) return;
+      if (token.selfClosing) out += `</${token.name}>`;
+      else stack.push(token.name);
+      return;
+    }
+
+    if (token.type === 'close') {
+      const open = stack.lastIndexOf(token.name);
+      if (open === -1) return;
+      out += stack.splice(open).reverse().map(name => `</${name}>`).join('');
+    }
+  });
+
+  return out + stack.reverse().map(name => `</${name}>`).join('');
+};
+
+/**
+ * Checks if a string contains only digits. Digits from any script are accepted.
  * @param {string} str - The string to check
+ * @param {Object} [options] - Options (see validateNumeric)
  * @returns {boolean} True if numeric
  * @example
  * isNumeric('12345'); // true
+ * isNumeric('١٢٣'); // true
  */
-export const isNumeric = (str) => {
-  if (!str) return false;
-  return /^\d+$/.test(str);
-};
+export const isNumeric = (str, options) => validateNumeric(str, options).valid;
 
 /**
  * Checks if a string is a valid email
  * @param {string} str - The string to validate
+ * @param {Object} [options] - Options (see validateEmail)
  * @returns {boolean} True if valid email
  * @example
  * isEmail('test@example.com'); // true
+ * isEmail('a@b..c'); // false
  */
-export const isEmail = (str) => {
-  if (!str) return false;
-  const emailRegex = /^[\w.-]+@[\w.-]+\.\w+$/;
-  return emailRegex.test(str);
-};
+export const isEmail = (str, options) => validateEmail(str, options).valid;
 
 /**
  * Checks if a string is a valid URL
+ * Unlike validateUrl, any protocol except javascript, vbscript and data is accepted,
+ * and no top-level domain is required.
  * @param {string} str - The string to validate
+ * @param {Object} [options] - Options (see validateUrl)
  * @returns {boolean} True if valid URL
  * @example
  * isUrl('https://example.com'); // true
+ * isUrl('http://localhost:3000'); // true
+ * isUrl('javascript:alert(1)'); // false
  */
-export const isUrl = (str) => {
-  if (!str) return false;
-  try {
-    new URL(str);
-    return true;
-  } catch {
-    return false;
-  }
-};
+export const isUrl = (str, options = {}) => validateUrl(str, { protocols: '*', requireTld: false, ...options }).valid;
 
 /**
  * Repeats a string n times
@@ -317,3 +1594,640 @@ export const repeatString = (str, times) => {
   if (!str || times <= 0) return '';
   return str.repeat(times);
 };
+
+const TEMPLATE_TAG_PATTERN = /\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g;
+const EXPRESSION_TOKEN_PATTERN = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[|:,]|[^|:,\s"']+)\s*/y;
+const MISSING = Symbol('missing');
+
+const asText = (value) => value === null || value === undefined ? '' : String(value);
+
+const TEMPLATE_FILTERS = {
+  default: (value, fallback = '') => value === undefined || value === null || value === '' ? fallback : value,
+  upper: (value) => asText(value).toUpperCase(),
+  lower: (value) => asText(value).toLowerCase(),
+  trim: (value) => asText(value).trim(),
+  capitalize: (value) => capitalize(asText(value)),
+  toTitleCase: (value) => toTitleCase(asText(value)),
+  toCamelCase: (value) => toCamelCase(asText(value)),
+  toKebabCase: (value) => toKebabCase(asText(value)),
+  toSnakeCase: (value) => toSnakeCase(asText(value)),
+  toPascalCase: (value) => toPascalCase(asText(value)),
+  truncate: (value, length, suffix) => truncate(asText(value), length, suffix),
+  slugify: (value) => slugify(asText(value)),
+  escapeHtml: (value) => escapeHtml(asText(value)),
+  mask: (value, visibleChars, maskChar) => mask(asText(value), visibleChars, maskChar)
+};
+
+const invalidExpression = (source) => new SyntaxError(`Invalid template expression: ${source.trim()}`);
+
+const tokenizeExpression = (source) => {
+  const tokens = [];
+  EXPRESSION_TOKEN_PATTERN.lastIndex = 0;
+  while (EXPRESSION_TOKEN_PATTERN.lastIndex < source.length) {
+    const match = EXPRESSION_TOKEN_PATTERN.exec(source);
+    if (!match) throw invalidExpression(source);
+    tokens.push(match[1]);
+  }
+  return tokens;
+};
+
+// Operands are quoted strings, numbers, true/false/null, or dot-paths into the data.
+const parseOperand = (token, source) => {
+  if (token === undefined || '|:,'.includes(token)) {
+    throw invalidExpression(source);
+  }
+  if (/^["']/.test(token)) {
+    const value = token.slice(1, -1).replace(/\\(.)/g, '$1');
+    return () => value;
+  }
+  if (/^-?\d+(?:\.\d+)?$/.test(token)) return () => Number(token);
+  if (token === 'true' || token === 'false') return () => token === 'true';
+  if (token === 'null') return () => null;
+  return (data) => getNestedValue(data, token, MISSING);
+};
+
+const compileExpression = (source, filters) => {
+  const tokens = tokenizeExpression(source);
+  const path = tokens[0];
+  const read = parseOperand(path, source);
+  const chain = [];
+
+  for (let i = 1; i < tokens.length;) {
+    if (tokens[i] !== '|') throw invalidExpression(source);
+    const name = tokens[i + 1];
+    if (name === undefined || '|:,'.includes(name)) {
+      throw invalidExpression(source);
+    }
+    if (!Object.prototype.hasOwnProperty.call(filters, name)) throw new RangeError(`Unknown filter: ${name}`);
+    const args = [];
+    i += 2;
+    if (tokens[i] === ':') {
+      do {
+        args.push(parseOperand(tokens[i + 1], source));
+        i += 2;
+      } while (tokens[i] === ',');
+    }
+    chain.push({ name, args });
+  }
+
+  const hasDefault = chain.some(({ name }) => name === 'default');
+  return (data, strict) => {
+    let value = read(data);
+    if (value === MISSING) {
+      if (strict && !hasDefault) throw new ReferenceError(`Missing template variable: ${path}`);
+      value = undefined;
+    }
+    return chain.reduce((result, { name, args }) => {
+      const values = args.map(arg => {
+        const argValue = arg(data);
+        return argValue === MISSING ? undefined : argValue;
+      });
+      return filters[name](result, ...values);
+    }, value);
+  };
+};
+
+/**
+ * Compiles a template into a reusable render function.
+ * `{{ path }}` looks values up with dot notation (see getNestedValue) and HTML-escapes them;
+ * `{{{ path }}}` outputs them raw. Values can be piped through filters with
+ * colon-separated arguments: `{{ title | default:"Untitled" | truncate:20 }}`.
+ * Built-in filters: default, upper, lower, trim, capitalize, toTitleCase, toCamelCase,
+ * toKebabCase, toSnakeCase, toPascalCase, truncate, slugify, escapeHtml and mask.
+ * @param {string} str - The template.
+ * @param {Object} [options] - Template options.
+ * @param {boolean} [options.escape=true] - HTML-escape `{{ }}` output.
+ * @param {boolean} [options.strict=false] - Throw a ReferenceError for missing variables
+ *   that have no default filter.
+ * @param {Object} [options.filters] - Extra filters, called as `fn(value, ...args)`.
+ * @returns {Function} A function that renders the template with the given data.
+ * @example
+ * const greet = compileTemplate('Hello {{ user.name | capitalize }}!');
+ * greet({ user: { name: 'ada' } }); // 'Hello Ada!'
+ */
+export const compileTemplate = (str, options = {}) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const { escape = true, strict = false, filters = {} } = options;
+  const allFilters = { ...TEMPLATE_FILTERS, ...filters };
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of str.matchAll(TEMPLATE_TAG_PATTERN)) {
+    parts.push(str.slice(lastIndex, match.index));
+    const raw = match[1] !== undefined;
+    const expression = compileExpression(raw ? match[1] : match[2], allFilters);
+    parts.push((data) => {
+      const text = asText(expression(data, strict));
+      return escape && !raw ? escapeHtml(text) : text;
+    });
+    lastIndex = match.index + match[0].length;
+  }
+
+  const rest = str.slice(lastIndex);
+  if (rest.includes('{{')) throw new SyntaxError(`Unclosed template tag at position ${lastIndex + rest.indexOf('{{')}`);
+  parts.push(rest);
+
+  return (data = {}) => parts.map(part => typeof part === 'function' ? part(data) : part).join('');
+};
+
+/**
+ * Renders a template with the given data. See compileTemplate for the syntax.
+ * @param {string} str - The template.
+ * @param {Object} data - The values to interpolate.
+ * @param {Object} [options] - Template options (escape, strict, filters).
+ * @returns {string} The rendered string.
+ * @example
+ * template('Hi {{ user.name }}, you have {{ count }} new {{ noun | default:"messages" }}', { user: { name: 'Ada' }, count: 3 });
+ * // 'Hi Ada, you have 3 new messages'
+ * template('{{ html }} vs {{{ html }}}', { html: '<b>' }); // '&lt;b&gt; vs <b>'
+ */
+export const template = (str, data, options) => compileTemplate(str, options)(data);
+
+/**
+ * Calculates the Levenshtein edit distance between two strings.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The minimum number of insertions, deletions and substitutions.
+ * @example
+ * levenshtein('kitten', 'sitting'); // 3
+ */
+export const levenshtein = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') throw new TypeError('Inputs must be strings');
+  const s = Array.from(a);
+  const t = Array.from(b);
+  let prev = new Uint32Array(t.length + 1).map((_, j) => j);
+  let row = new Uint32Array(t.length + 1);
+
+  for (let i = 1; i <= s.length; i++) {
+    row[0] = i;
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+    }
+    [prev, row] = [row, prev];
+  }
+
+  return prev[t.length];
+}
+
+/**
+ * Calculates the Damerau-Levenshtein distance between two strings,
+ * which also counts a transposition of two characters as a single edit.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The edit distance.
+ * @example
+ * damerauLevenshtein('jhon', 'john'); // 1
+ * levenshtein('jhon', 'john'); // 2
+ */
+export const damerauLevenshtein = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') throw new TypeError('Inputs must be strings');
+  const s = Array.from(a);
+  const t = Array.from(b);
+  const maxDistance = s.length + t.length;
+  const width = t.length + 2;
+  // Flattened (s.length + 2) x (t.length + 2) matrix; row and column 0 hold the sentinel.
+  const d = new Uint32Array((s.length + 2) * width);
+  const lastRow = new Map();
+
+  d[0] = maxDistance;
+  for (let i = 0; i <= s.length; i++) {
+    d[(i + 1) * width] = maxDistance;
+    d[(i + 1) * width + 1] = i;
+  }
+  for (let j = 0; j <= t.length; j++) {
+    d[j + 1] = maxDistance;
+    d[width + j + 1] = j;
+  }
+
+  for (let i = 1; i <= s.length; i++) {
+    let lastMatchColumn = 0;
+    for (let j = 1; j <= t.length; j++) {
+      const k = lastRow.get(t[j - 1]) || 0;
+      const l = lastMatchColumn;
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      if (cost === 0) lastMatchColumn = j;
+      d[(i + 1) * width + j + 1] = Math.min(
+        d[i * width + j] + cost,
+        d[(i + 1) * width + j] + 1,
+        d[i * width + j + 1] + 1,
+        d[k * width + l] + (i - k - 1) + 1 + (j - l - 1)
+      );
+    }
+    lastRow.set(s[i - 1], i);
+  }
+
+  return d[(s.length + 1) * width + t.length + 1];
+}
+
+/**
+ * Calculates the Jaro-Winkler similarity between two strings.
+ * Strings sharing a common prefix score higher.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} A score between 0 (no similarity) and 1 (identical).
+ * @example
+ * jaroWinkler('martha', 'marhta'); // 0.9611...
+ */
+export const jaroWinkler = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') throw new TypeError('Inputs must be strings');
+  const s = Array.from(a);
+  const t = Array.from(b);
+  if (s.length === 0 && t.length === 0) return 1;
+  if (s.length === 0 || t.length === 0) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(s.length, t.length) / 2) - 1);
+  const sMatched = new Array(s.length).fill(false);
+  const tMatched = new Array(t.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < s.length; i++) {
+    const end = Math.min(i + window + 1, t.length);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (!tMatched[j] && s[i] === t[j]) {
+        sMatched[i] = true;
+        tMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let j = 0;
+  for (let i = 0; i < s.length; i++) {
+    if (!sMatched[i]) continue;
+    while (!tMatched[j]) j++;
+    if (s[i] !== t[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / s.length + matches / t.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && prefix < s.length && prefix < t.length && s[prefix] === t[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Calculates how similar two strings are, based on the Damerau-Levenshtein distance.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} A score between 0 (completely different) and 1 (identical).
+ * @example
+ * similarity('john', 'jhon'); // 0.75
+ * similarity('abc', 'abc'); // 1
+ */
+export const similarity = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') throw new TypeError('Inputs must be strings');
+  const longest = Math.max(Array.from(a).length, Array.from(b).length);
+  return longest === 0 ? 1 : 1 - damerauLevenshtein(a, b) / longest;
+}
+
+// Splits text into words with their [start, end) offsets.
+const wordSpans = (text) => Array.from(text.matchAll(/[\p{L}\p{M}\p{N}_]+/gu), match => ({
+  word: match[0],
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+// Counts the characters of the query (with repeats) that also occur in the text.
+// Each edit supplies at most one missing character, so similarity(query, part) is
+// at most shared / queryLength for any part of the text.
+const sharedChars = (query, text) => {
+  const counts = new Map();
+  let left = 0;
+  for (const char of query) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+    left++;
+  }
+  let shared = 0;
+  for (const char of text) {
+    const count = counts.get(char);
+    if (!count) continue;
+    counts.set(char, count - 1);
+    if (++shared === left) break;
+  }
+  return shared;
+};
+
+// Scores one field against the query: exact and substring matches first, then
+// typo-tolerant word matches, then in-order character (subsequence) matches.
+// Fields and word windows that cannot reach minScore are skipped, scoring 0.
+const scoreField = (text, query, minScore = 0) => {
+  if (text === query) return { score: 1, matches: [[0, text.length]] };
+
+  const index = text.indexOf(query);
+  if (index !== -1) {
+    const end = index + query.length;
+    const atWordStart = index === 0 || !isWordChar(text[index - 1]);
+    const atWordEnd = end === text.length || !isWordChar(text[end]);
+    const score = 0.8 + (atWordStart ? 0.1 : 0) + (atWordStart && atWordEnd ? 0.05 : 0);
+    return { score, matches: [[index, end]] };
+  }
+
+  let best = { score: 0, matches: [] };
+  const queryLength = Array.from(query).length;
+  // Without every query character there is no subsequence match either.
+  if (0.85 * sharedChars(query, text) / queryLength < minScore) return best;
+
+  const spans = wordSpans(text);
+  const size = Math.max(1, wordSpans(query).length);
+  for (let i = 0; i + size <= spans.length; i++) {
+    const start = spans[i].start;
+    const end = spans[i + size - 1].end;
+    const candidate = text.slice(start, end);
+    const bestPossible = 0.85 * sharedChars(query, candidate) / queryLength;
+    if (bestPossible <= best.score || bestPossible < minScore) continue;
+    const whole = similarity(query, candidate);
+    const prefix = similarity(query, candidate.slice(0, query.length)) * 0.95;
+    const score = Math.max(whole, prefix) * 0.85;
+    if (score > best.score) {
+      const matchEnd = whole >= prefix ? end : start + Math.min(query.length, candidate.length);
+      best = { score, matches: [[start, matchEnd]] };
+    }
+  }
+
+  const ranges = [];
+  let from = 0;
+  for (const char of query) {
+    const found = text.indexOf(char, from);
+    if (found === -1) return best;
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === found) last[1] = found + char.length;
+    else ranges.push([found, found + char.length]);
+    from = found + char.length;
+  }
+  const span = ranges[ranges.length - 1][1] - ranges[0][0];
+  const score = 0.6 * (query.length / span) * (1 / ranges.length) ** 0.25;
+  return score > best.score ? { score, matches: ranges } : best;
+};
+
+/**
+ * Searches an array of strings or objects with typo-tolerant matching.
+ * @param {Array} items - The strings or objects to search.
+ * @param {string} query - The search query.
+ * @param {Object} [options] - Search options.
+ * @param {Array<string>} [options.keys] - Dot-paths of the object fields to search.
+ * @param {number} [options.threshold=0.5] - Minimum score (0 to 1) for a result.
+ * @param {number} [options.limit=Infinity] - Maximum number of results.
+ * @param {boolean} [options.caseSensitive=false] - Whether case must match.
+ * @returns {Array<Object>} Results sorted by descending score, each with `item`, `score`,
+ *   `key` (the best matching field, or null for strings) and `matches`, a list of
+ *   `[start, end)` character ranges in that field for highlighting.
+ * @example
+ * fuzzySearch([{ name: 'John Smith' }, { name: 'Jane Doe' }], 'jhon', { keys: ['name'] });
+ * // [{ item: { name: 'John Smith' }, score: 0.6375, key: 'name', matches: [[0, 4]] }]
+ */
+export const fuzzySearch = (items, query, options = {}) => {
+  if (!Array.isArray(items)) throw new TypeError('Items must be an array');
+  if (typeof query !== 'string') throw new TypeError('Query must be a string');
+  const {
+    keys = [],
+    threshold = 0.5,
+    limit = Infinity,
+    caseSensitive = false
+  } = options;
+  const normalize = (text) => caseSensitive ? text : text.toLowerCase();
+  const needle = normalize(query.trim());
+  if (!needle) return [];
+
+  const results = [];
+  items.forEach((item, index) => {
+    const fields = typeof item === 'string'
+      ? [[null, item]]
+      : keys.map(key => [key, getNestedValue(item, key)]);
+    let best = null;
+    fields.forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      const text = String(value);
+      // Lowercasing can change the length of some characters, which would skew the ranges.
+      const haystack = normalize(text).length === text.length ? normalize(text) : text;
+      const { score, matches } = scoreField(haystack, needle, threshold);
+      if (!best || score > best.score) best = { item, score, key, matches, index };
+    });
+    if (best && best.score >= threshold) results.push(best);
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ index, ...result }) => result);
+}
+
+const ANSI_PATTERN = /[\u001b\u009b](?:\[[0-?]*[ -/]*[@-~]|\][^\u0007\u001b]*(?:\u0007|\u001b\\)|[@-Z\\-_])/g;
+
+// East Asian Wide and Fullwidth ranges.
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x2e80, 0x303e], [0x3041, 0x33ff],
+  [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf], [0xa960, 0xa97f], [0xac00, 0xd7a3],
+  [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f], [0xff00, 0xff60], [0xffe0, 0xffe6],
+  [0x1b000, 0x1b2ff], [0x1f200, 0x1f2ff], [0x20000, 0x3fffd]
+];
+
+const isWide = (codePoint) => WIDE_RANGES.some(([from, to]) => codePoint >= from && codePoint <= to);
+
+const graphemeWidth = (grapheme) => {
+  const codePoint = grapheme.codePointAt(0);
+  if (/^[\p{Cc}\p{Cf}\p{M}]+$/u.test(grapheme)) return 0;
+  if (/\p{Emoji_Presentation}|\uFE0F/u.test(grapheme) || isWide(codePoint)) return 2;
+  return 1;
+};
+
+// Splits a string into ANSI escape sequences (zero width) and grapheme clusters.
+const displayUnits = (str) => str.split(new RegExp(`(${ANSI_PATTERN.source})`)).flatMap((part, i) =>
+  i % 2 ? [{ text: part, width: 0 }] : splitGraphemes(part).map(text => ({ text, width: graphemeWidth(text) }))
+);
+
+/**
+ * Removes ANSI escape codes (colors, cursor movement, hyperlinks) from a string.
+ * @param {string} str - The input string.
+ * @returns {string} The string without escape codes.
+ * @example
+ * stripAnsi('\u001b[31mred\u001b[39m'); // 'red'
+ */
+export const stripAnsi = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  return str.replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Measures how many terminal columns a string takes up.
+ * ANSI escape codes and zero-width characters take none, CJK, fullwidth and emoji take two.
+ * @param {string} str - The input string.
+ * @returns {number} The display width.
+ * @example
+ * displayWidth('abc'); // 3
+ * displayWidth('日本'); // 4
+ * displayWidth('\u001b[1mbold\u001b[22m'); // 4
+ */
+export const displayWidth = (str) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  return displayUnits(str).reduce((width, unit) => width + unit.width, 0);
+}
+
+// Repeats the pad characters to fill a display width, topping up with spaces
+// when a wide character would overshoot.
+const padding = (padChars, width) => {
+  const units = displayUnits(padChars).filter(unit => unit.width > 0);
+  let result = '';
+  let used = 0;
+  for (let i = 0; units.length && used + units[i % units.length].width <= width; i++) {
+    result += units[i % units.length].text;
+    used += units[i % units.length].width;
+  }
+  return result + ' '.repeat(Math.max(0, width - used));
+};
+
+/**
+ * Pads the start of a string to a display width.
+ * @param {string} str - The input string.
+ * @param {number} width - The target display width.
+ * @param {string} [padChars=' '] - The padding characters.
+ * @returns {string} The padded string.
+ * @example
+ * padStart('日本', 6); // '  日本'
+ * padStart('7', 3, '0'); // '007'
+ */
+export const padStart = (str, width, padChars = ' ') => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  if (typeof width !== 'number') throw new TypeError('Width must be a number');
+  return padding(padChars, width - displayWidth(str)) + str;
+}
+
+/**
+ * Pads the end of a string to a display width.
+ * @param {string} str - The input string.
+ * @param {number} width - The target display width.
+ * @param {string} [padChars=' '] - The padding characters.
+ * @returns {string} The padded string.
+ * @example
+ * padEnd('\u001b[32mok\u001b[39m', 4); // '\u001b[32mok\u001b[39m  '
+ */
+export const padEnd = (str, width, padChars = ' ') => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  if (typeof width !== 'number') throw new TypeError('Width must be a number');
+  return str + padding(padChars, width - displayWidth(str));
+}
+
+/**
+ * Centers a string within a display width. Extra space goes to the right.
+ * @param {string} str - The input string.
+ * @param {number} width - The target display width.
+ * @param {string} [padChars=' '] - The padding characters.
+ * @returns {string} The centered string.
+ * @example
+ * center('abc', 8, '*'); // '**abc***'
+ */
+export const center = (str, width, padChars = ' ') => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  if (typeof width !== 'number') throw new TypeError('Width must be a number');
+  const space = width - displayWidth(str);
+  const left = Math.floor(space / 2);
+  return padding(padChars, left) + str + padding(padChars, space - left);
+}
+
+// Breaks a word that is wider than the line into pieces of at most `width` columns.
+const splitWord = (word, width) => {
+  const pieces = [''];
+  let used = 0;
+  displayUnits(word).forEach(({ text, width: unitWidth }) => {
+    if (used + unitWidth > width && pieces[pieces.length - 1]) {
+      pieces.push('');
+      used = 0;
+    }
+    pieces[pieces.length - 1] += text;
+    used += unitWidth;
+  });
+  return pieces;
+};
+
+/**
+ * Wraps text to a display width, breaking between words.
+ * Existing line breaks are kept and whitespace between words is collapsed.
+ * @param {string} str - The input string.
+ * @param {Object} [options] - Wrap options.
+ * @param {number} [options.width=80] - Maximum display width of a line, including the indent.
+ * @param {boolean} [options.hard=false] - Break words that are wider than a line.
+ * @param {string} [options.indent=''] - String prepended to every line.
+ * @returns {string} The wrapped text.
+ * @example
+ * wrap('The quick brown fox jumps over the lazy dog', { width: 15 });
+ * // 'The quick brown\nfox jumps over\nthe lazy dog'
+ */
+export const wrap = (str, options = {}) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const { width = 80, hard = false, indent = '' } = options;
+  const available = Math.max(1, width - displayWidth(indent));
+
+  return str.split(/\r?\n/).map(line => {
+    const lines = [];
+    let current = '';
+    let used = 0;
+
+    line.split(/[ \t]+/).filter(Boolean).forEach(word => {
+      const wordWidth = displayWidth(word);
+      if (current && used + 1 + wordWidth <= available) {
+        current += ` ${word}`;
+        used += 1 + wordWidth;
+        return;
+      }
+      if (current) lines.push(current);
+      const pieces = hard && wordWidth > available ? splitWord(word, available) : [word];
+      pieces.slice(0, -1).forEach(piece => lines.push(piece));
+      current = pieces[pieces.length - 1];
+      used = displayWidth(current);
+    });
+
+    lines.push(current);
+    return lines.map(text => text ? indent + text : text).join('\n');
+  }).join('\n');
+}
+
+/**
+ * Indents every non-empty line of a string.
+ * @param {string} str - The input string.
+ * @param {number|string} [indentation=2] - Number of spaces, or the string to prepend.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.includeEmptyLines=false] - Also indent empty lines.
+ * @returns {string} The indented string.
+ * @example
+ * indent('a\nb', 2); // '  a\n  b'
+ * indent('a\n\nb', '> '); // '> a\n\n> b'
+ */
+export const indent = (str, indentation = 2, options = {}) => {
+  if (typeof str !== 'string') throw new TypeError('Input must be a string');
+  const prefix = typeof indentation === 'number' ? ' '.repeat(indentation) : indentation;
+  const pattern = options.includeEmptyLines ? /^/gm : /^(?!\s*$)/gm;
+  return str.replace(pattern, prefix);
+}
+
+/**
+ * Removes the indentation common to all non-empty lines.
+ * Can also be used as a template literal tag, in which case a leading and a
+ * trailing blank line are dropped.
+ * @param {string|Array<string>} str - The input string (or template strings).
+ * @param {...*} values - Template literal values.
+ * @returns {string} The dedented string.
+ * @example
+ * dedent('    a\n      b'); // 'a\n  b'
+ * dedent`
+ *   Usage:
+ *     run <file>
+ * `; // 'Usage:\n  run <file>'
+ */
+export const dedent = (str, ...values) => {
+  const isTag = Array.isArray(str) && Array.isArray(str.raw);
+  if (!isTag && typeof str !== 'string') throw new TypeError('Input must be a string');
+  let text = isTag
+    ? str.reduce((result, part, i) => result + part + (i < values.length ? values[i] : ''), '')
+    : str;
+  if (isTag) text = text.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n[ \t]*$/, '');
+
+  const indents = text.split('\n')
+    .filter(line => line.trim())
+    .map(line => /^[ \t]*/.exec(line)[0].length);
+  const common = indents.length ? Math.min(...indents) : 0;
+  return common ? text.replace(new RegExp(`^[ \\t]{0,${common}}`, 'gm'), '') : text;
+}
@@ -0,0 +1,460 @@
+/**
+ * Validation Utility Functions
+ * Each validator returns `{ valid, reason }`, where `reason` explains a failure
+ * and is null for valid values. Non-string input is invalid rather than an error.
+ * @module validation
+ */
+
+
+const pass = () => ({ valid: true, reason: null });
+const fail = (reason) => ({ valid: false, reason });
+
+const EMAIL_LOCAL_ATOM = /^[\w!#$%&'*+/=?^`{|}~-]+(?:\.[\w!#$%&'*+/=?^`{|}~-]+)*$/;
+const EMAIL_LOCAL_QUOTED = /^"(?:[^"\\\r\n]|\\.)*"$/;
+const DOMAIN_LABEL = /^[\p{L}\p{N}](?:[\p{L}\p{N}-]*[\p{L}\p{N}])?$/u;
+const TLD = /^(?:\p{L}{2,}|xn--[a-z\d-]+)$/iu;
+
+const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29, BY: 28,
+  CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18,
+  FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22,
+  IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20,
+  LU: 20, LV: 21, MC: 27, MD: 24, ME: 22, MK: 19, MR: 27, MT: 31, MU: 30, NL: 18, NO: 15,
+  PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, SA: 24, SC: 31, SE: 24, SI: 19,
+  SK: 24, SM: 27, TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20
+};
+
+const validateDomain = (domain, requireTld) => {
+  if (!domain) return fail('Domain is empty');
+  if (domain.length > 253) return fail('Domain is too long');
+  const labels = domain.split('.');
+  if (labels.some(label => !label)) return fail('Domain contains an empty label');
+  const invalid = labels.find(label => label.length > 63 || !DOMAIN_LABEL.test(label));
+  if (invalid) return fail(`Domain label "${invalid}" is invalid`);
+  if (requireTld && (labels.length < 2 || !TLD.test(labels[labels.length - 1]))) {
+    return fail('Domain has no top-level domain');
+  }
+  return pass();
+};
+
+const validateIpv4 = (str) => {
+  const parts = str.split('.');
+  if (parts.length !== 4) return fail('IPv4 address must have 4 parts');
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part)) return fail(`IPv4 part "${part}" is not a number`);
+    if (part.length > 1 && part[0] === '0') return fail(`IPv4 part "${part}" has a leading zero`);
+    if (Number(part) > 255) return fail(`IPv4 part "${part}" is greater than 255`);
+  }
+  return pass();
+};
+
+const validateIpv6 = (str) => {
+  const halves = str.split('::');
+  if (halves.length > 2) return fail('IPv6 address can only contain one "::"');
+  const groups = halves.map(half => half ? half.split(':') : []);
+  const all = groups.flat();
+  let size = all.length;
+
+  const last = all[all.length - 1];
+  if (last !== undefined && last.includes('.')) {
+    if (!validateIpv4(last).valid) return fail('IPv6 address has an invalid embedded IPv4 part');
+    size++;
+    all.pop();
+  }
+  const invalid = all.find(group => !/^[\da-f]{1,4}$/i.test(group));
+  if (invalid !== undefined) return fail(`IPv6 group "${invalid}" is invalid`);
+  if (halves.length === 2 ? size > 7 : size !== 8) return fail('IPv6 address has the wrong number of groups');
+  return pass();
+};
+
+/**
+ * Validates an email address.
+ * Accepts dot-atom local parts (including `+` tags) and quoted local parts,
+ * and rejects empty domain labels such as `a@b..c`.
+ * @param {string} str - The value to validate.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.requireTld=true] - Require a top-level domain.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateEmail('jane+news@example.com'); // { valid: true, reason: null }
+ * validateEmail('a@b..c'); // { valid: false, reason: 'Domain contains an empty label' }
+ */
+export const validateEmail = (str, options = {}) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  const { requireTld = true } = options;
+  if (str.length > 254) return fail('Email is too long');
+  const at = str.lastIndexOf('@');
+  if (at === -1) return fail('Email must contain "@"');
+
+  const local = str.slice(0, at);
+  const domain = str.slice(at + 1);
+  if (!local) return fail('Local part is empty');
+  if (local.length > 64) return fail('Local part is too long');
+  if (!EMAIL_LOCAL_ATOM.test(local) && !EMAIL_LOCAL_QUOTED.test(local)) {
+    return fail('Local part contains invalid characters');
+  }
+
+  const literal = /^\[(?:IPv6:)?(.*)\]$/i.exec(domain);
+  if (literal) {
+    const valid = validateIpv4(literal[1]).valid || validateIpv6(literal[1]).valid;
+    return valid ? pass() : fail('Domain literal is not a valid IP address');
+  }
+  return validateDomain(domain, requireTld);
+}
+
+const SCRIPT_PROTOCOLS = ['javascript', 'vbscript', 'data'];
+
+/**
+ * Validates a URL.
+ * @param {string} str - The value to validate.
+ * @param {Object} [options] - Options.
+ * @param {Array<string>|string} [options.protocols=['http', 'https']] - Allowed protocols, or
+ *   '*' for any protocol except script-running ones (javascript, vbscript and data).
+ * @param {boolean} [options.requireTld=true] - Require a top-level domain (IP addresses are allowed).
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateUrl('https://example.com/path'); // { valid: true, reason: null }
+ * validateUrl('javascript:alert(1)'); // { valid: false, reason: 'Protocol "javascript" is not allowed' }
+ */
+export const validateUrl = (str, options = {}) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  const { protocols = ['http', 'https'], requireTld = true } = options;
+  if (/\s/.test(str)) return fail('URL contains whitespace');
+
+  let url;
+  try {
+    url = new URL(str);
+  } catch {
+    return fail('URL could not be parsed');
+  }
+
+  const protocol = url.protocol.slice(0, -1);
+  const allowed = protocols === '*'
+    ? !SCRIPT_PROTOCOLS.includes(protocol)
+    : protocols.map(p => p.toLowerCase()).includes(protocol);
+  if (!allowed) {
+    return fail(`Protocol "${protocol}" is not allowed`);
+  }
+  if (!url.hostname) return /^(https?|ftp|wss?)$/.test(protocol) ? fail('URL has no host') : pass();
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (validateIpv4(host).valid || validateIpv6(host).valid) return pass();
+  const domain = validateDomain(host, requireTld);
+  return domain.valid ? pass() : fail(domain.reason);
+}
+
+/**
+ * Validates an IPv4 or IPv6 address, optionally in CIDR notation.
+ * @param {string} str - The value to validate.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.version] - 4 or 6 to accept only that version.
+ * @param {boolean} [options.cidr=false] - Require a `/prefix` length.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateIp('192.168.0.1'); // { valid: true, reason: null }
+ * validateIp('2001:db8::/32', { cidr: true }); // { valid: true, reason: null }
+ * validateIp('256.1.1.1'); // { valid: false, reason: 'IPv4 part "256" is greater than 255' }
+ */
+export const validateIp = (str, options = {}) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  const { version, cidr = false } = options;
+  if (version !== undefined && version !== 4 && version !== 6) throw new RangeError(`Invalid IP version: ${version}`);
+
+  const [address, prefix, ...rest] = str.split('/');
+  if (rest.length) return fail('Address contains more than one "/"');
+  if (cidr && prefix === undefined) return fail('CIDR prefix length is missing');
+  if (!cidr && prefix !== undefined) return fail('CIDR notation is not allowed');
+
+  const isV6 = address.includes(':');
+  if (version === 4 && isV6) return fail('Address is not IPv4');
+  if (version === 6 && !isV6) return fail('Address is not IPv6');
+
+  const result = isV6 ? validateIpv6(address) : validateIpv4(address);
+  if (!result.valid || prefix === undefined) return result;
+
+  const maxPrefix = isV6 ? 128 : 32;
+  if (!/^\d{1,3}$/.test(prefix) || Number(prefix) > maxPrefix) {
+    return fail(`CIDR prefix length must be between 0 and ${maxPrefix}`);
+  }
+  return pass();
+}
+
+/**
+ * Validates a UUID. The nil and max UUIDs are accepted when no version is required.
+ * @param {string} str - The value to validate.
+ * @param {Object} [options] - Options.
+ * @param {number|Array<number>} [options.version] - Allowed version(s), 1 to 8.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateUuid('9b2c1a4e-6f3d-4c2b-9a1e-3f5d7c9b1a2e', { version: 4 }); // { valid: true, reason: null }
+ */
+export const validateUuid = (str, options = {}) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  if (!/^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i.test(str)) {
+    return fail('UUID must be 32 hex digits in 8-4-4-4-12 groups');
+  }
+  const versions = options.version === undefined ? null : [].concat(options.version);
+  const isSpecial = /^(?:0{8}-0{4}-0{4}-0{4}-0{12}|f{8}-f{4}-f{4}-f{4}-f{12})$/i.test(str);
+  if (isSpecial && !versions) return pass();
+
+  const version = parseInt(str[14], 16);
+  if (version < 1 || version > 8) return fail(`UUID version ${version} is unknown`);
+  if (!/[89ab]/i.test(str[19])) return fail('UUID variant is not RFC 4122');
+  if (versions && !versions.includes(version)) return fail(`UUID version ${version} is not allowed`);
+  return pass();
+}
+
+/**
+ * Validates a ULID: 26 Crockford base32 characters (case-insensitive) whose
+ * 48-bit timestamp does not overflow.
+ * @param {string} str - The value to validate.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateUlid('01ARZ3NDEKTSV4RRFFQ69G5FAV'); // { valid: true, reason: null }
+ */
+export const validateUlid = (str) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  if (str.length !== 26) return fail('ULID must be 26 characters long');
+  if (!/^[\dA-HJKMNP-TV-Z]+$/i.test(str)) return fail('ULID contains characters outside Crockford base32');
+  if (str[0] > '7') return fail('ULID timestamp is out of range');
+  return pass();
+}
+
+/**
+ * Validates a phone number in E.164 format (`+` followed by up to 15 digits).
+ * @param {string} str - The value to validate.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.strict=true] - When false, spaces, dashes, dots and
+ *   parentheses are ignored.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validatePhone('+14155552671'); // { valid: true, reason: null }
+ * validatePhone('+1 (415) 555-2671', { strict: false }); // { valid: true, reason: null }
+ */
+export const validatePhone = (str, options = {}) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  const { strict = true } = options;
+  const number = strict ? str : str.replace(/[\s().-]/g, '');
+  if (number[0] !== '+') return fail('Phone number must start with "+" and a country code');
+  if (!/^\+\d+$/.test(number)) return fail('Phone number must contain only digits after "+"');
+  if (number[1] === '0') return fail('Country code cannot start with 0');
+  if (number.length > 16) return fail('Phone number has more than 15 digits');
+  if (number.length < 3) return fail('Phone number is too short');
+  return pass();
+}
+
+/**
+ * Checks a string of digits against the Luhn checksum.
+ * @param {string} digits - The digits to check.
+ * @returns {boolean} True if the checksum is valid.
+ * @example
+ * luhnCheck('4242424242424242'); // true
+ */
+export const luhnCheck = (digits) => {
+  if (typeof digits !== 'string' || !/^\d+$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Validates a payment card number with the Luhn checksum. Spaces and dashes are ignored.
+ * @param {string} str - The value to validate.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateCreditCard('4242 4242 4242 4242'); // { valid: true, reason: null }
+ * validateCreditCard('4242 4242 4242 4241'); // { valid: false, reason: 'Card number checksum is invalid' }
+ */
+export const validateCreditCard = (str) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  const digits = str.replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits)) return fail('Card number must contain only digits');
+  if (digits.length < 12 || digits.length > 19) return fail('Card number must have 12 to 19 digits');
+  return luhnCheck(digits) ? pass() : fail('Card number checksum is invalid');
+}
+
+/**
+ * Validates an IBAN: country, length and the mod-97 checksum. Spaces are ignored.
+ * @param {string} str - The value to validate.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateIban('GB82 WEST 1234 5698 7654 32'); // { valid: true, reason: null }
+ */
+export const validateIban = (str) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  const iban = str.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z\d]+$/.test(iban)) return fail('IBAN must start with a country code and check digits');
+
+  const country = iban.slice(0, 2);
+  if (!IBAN_LENGTHS[country]) return fail(`Country "${country}" does not use IBANs`);
+  if (iban.length !== IBAN_LENGTHS[country]) return fail(`IBAN for ${country} must have ${IBAN_LENGTHS[country]} characters`);
+
+  const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, char => char.charCodeAt(0) - 55);
+  let remainder = 0;
+  for (let i = 0; i < numeric.length; i += 7) {
+    remainder = Number(String(remainder) + numeric.slice(i, i + 7)) % 97;
+  }
+  return remainder === 1 ? pass() : fail('IBAN checksum is invalid');
+}
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Computed arithmetically: Date.UTC maps years 0-99 to 1900-1999.
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+/**
+ * Validates an ISO 8601 date (`YYYY-MM-DD`) or date-time, including the calendar date itself.
+ * @param {string} str - The value to validate.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.dateOnly=false] - Reject values with a time part.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateIsoDate('2024-02-29T12:30:00Z'); // { valid: true, reason: null }
+ * validateIsoDate('2023-02-29'); // { valid: false, reason: 'Day 29 does not exist in 2023-02' }
+ */
+export const validateIsoDate = (str, options = {}) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.exec(str);
+  if (!match) return fail('Date must be in YYYY-MM-DD or YYYY-MM-DDTHH:mm:ss format');
+
+  const [, year, month, day, hours, minutes, seconds = '00', offset] = match;
+  if (options.dateOnly && hours !== undefined) return fail('Date must not include a time');
+  if (month < 1 || month > 12) return fail(`Month ${month} is out of range`);
+  const daysInMonth = month === '02' ? (isLeapYear(Number(year)) ? 29 : 28) : DAYS_IN_MONTH[month - 1];
+  if (day < 1 || day > daysInMonth) return fail(`Day ${day} does not exist in ${year}-${month}`);
+  if (hours !== undefined && (hours > 23 || minutes > 59 || seconds > 59)) return fail('Time is out of range');
+  if (offset && offset !== 'Z' && (offset.slice(1, 3) > 23 || offset.slice(4) > 59)) {
+    return fail('Time zone offset is out of range');
+  }
+  return pass();
+}
+
+/**
+ * Validates a hex color such as `#fff`, `#ffcc00` or `#ffcc0080`.
+ * @param {string} str - The value to validate.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.alpha=true] - Allow 4 and 8 digit colors with an alpha channel.
+ * @param {boolean} [options.requireHash=true] - Require the leading `#`.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateHexColor('#1e90ff'); // { valid: true, reason: null }
+ */
+export const validateHexColor = (str, options = {}) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  const { alpha = true, requireHash = true } = options;
+  if (requireHash && str[0] !== '#') return fail('Hex color must start with "#"');
+  const hex = str[0] === '#' ? str.slice(1) : str;
+  if (!/^[\da-f]+$/i.test(hex)) return fail('Hex color must contain only hex digits');
+  const lengths = alpha ? [3, 4, 6, 8] : [3, 6];
+  if (!lengths.includes(hex.length)) return fail(`Hex color must have ${lengths.join(', ')} digits`);
+  return pass();
+}
+
+/**
+ * Validates a numeric string. Digits from any script (e.g. Arabic-Indic) are accepted.
+ * @param {string} str - The value to validate.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.decimal=false] - Allow a decimal point.
+ * @param {boolean} [options.negative=false] - Allow a leading minus sign.
+ * @returns {{valid: boolean, reason: string|null}} The result.
+ * @example
+ * validateNumeric('١٢٣'); // { valid: true, reason: null }
+ * validateNumeric('-1.5', { decimal: true, negative: true }); // { valid: true, reason: null }
+ */
+export const validateNumeric = (str, options = {}) => {
+  if (typeof str !== 'string') return fail('Value must be a string');
+  const { decimal = false, negative = false } = options;
+  if (!str) return fail('Value is empty');
+  let number = str;
+  if (number[0] === '-') {
+    if (!negative) return fail('Negative numbers are not allowed');
+    number = number.slice(1);
+  }
+  const pattern = decimal ? /^(?:\p{Nd}+(?:\.\p{Nd}*)?|\.\p{Nd}+)$/u : /^\p{Nd}+$/u;
+  if (pattern.test(number)) return pass();
+  return fail(decimal || !number.includes('.') ? 'Value contains non-digit characters' : 'Decimals are not allowed');
+}
+
+/**
+ * Checks if a string is a valid IP address. See validateIp for options.
+ * @param {string} str - The value to check.
+ * @param {Object} [options] - Options.
+ * @returns {boolean} True if valid.
+ * @example
+ * isIp('::1'); // true
+ */
+export const isIp = (str, options) => validateIp(str, options).valid;
+
+/**
+ * Checks if a string is a valid UUID. See validateUuid for options.
+ * @param {string} str - The value to check.
+ * @param {Object} [options] - Options.
+ * @returns {boolean} True if valid.
+ * @example
+ * isUuid('9b2c1a4e-6f3d-4c2b-9a1e-3f5d7c9b1a2e'); // true
+ */
+export const isUuid = (str, options) => validateUuid(str, options).valid;
+
+/**
+ * Checks if a string is a valid ULID.
+ * @param {string} str - The value to check.
+ * @returns {boolean} True if valid.
+ * @example
+ * isUlid('01ARZ3NDEKTSV4RRFFQ69G5FAV'); // true
+ */
+export const isUlid = (str) => validateUlid(str).valid;
+
+/**
+ * Checks if a string is a valid E.164 phone number. See validatePhone for options.
+ * @param {string} str - The value to check.
+ * @param {Object} [options] - Options.
+ * @returns {boolean} True if valid.
+ * @example
+ * isPhone('+14155552671'); // true
+ */
+export const isPhone = (str, options) => validatePhone(str, options).valid;
+
+/**
+ * Checks if a string is a card number that passes the Luhn checksum.
+ * @param {string} str - The value to check.
+ * @returns {boolean} True if valid.
+ * @example
+ * isCreditCard('4242 4242 4242 4242'); // true
+ */
+export const isCreditCard = (str) => validateCreditCard(str).valid;
+
+/**
+ * Checks if a string is a valid IBAN.
+ * @param {string} str - The value to check.
+ * @returns {boolean} True if valid.
+ * @example
+ * isIban('DE89370400440532013000'); // true
+ */
+export const isIban = (str) => validateIban(str).valid;
+
+/**
+ * Checks if a string is a valid ISO 8601 date. See validateIsoDate for options.
+ * @param {string} str - The value to check.
+ * @param {Object} [options] - Options.
+ * @returns {boolean} True if valid.
+ * @example
+ * isIsoDate('2024-02-29'); // true
+ */
+export const isIsoDate = (str, options) => validateIsoDate(str, options).valid;
+
+/**
+ * Checks if a string is a valid hex color. See validateHexColor for options.
+ * @param {string} str - The value to check.
+ * @param {Object} [options] - Options.
+ * @returns {boolean} True if valid.
+ * @example
+ * isHexColor('#fff'); // true
+ */
+export const isHexColor = (str, options) => validateHexColor(str, options).valid;
@@ -4,12 +4,26 @@ import {
   unique,
   shuffle,
   randomElement,
+  sample,
+  weightedRandom,
+  reservoirSample,
   compact,
   sortBy,
+  compareBy,
   groupBy,
+  aggregate,
   intersection,
   difference,
   union,
+  symmetricDifference,
+  intersectionBy,
+  differenceBy,
+  unionBy,
+  uniqueBy,
+  intersectionWith,
+  differenceWith,
+  unionWith,
+  uniqueWith,
   zip,
   range,
   max,
@@ -24,6 +38,8 @@ import {
   includesAny,
   rotate
 } from '../src/arrayUtils.js';
+import { createRandom } from '../src/randomUtils.js';
+import { isEqual } from '../src/objectUtils.js';
 
 describe('Array Utilities', () => {
   describe('chunk', () => {
@@ -36,6 +52,10 @@ describe('Array Utilities', () => {
       expect(() => chunk('not array', 2)).toThrow(TypeError);
       expect(() => chunk([1, 2], 0)).toThrow(TypeError);
     });
+
+    test('accepts iterables', () => {
+      expect(chunk(new Set([1, 2, 3]), 2)).toEqual([[1, 2], [3]]);
+    });
   });
 
   describe('flatten', () => {
@@ -50,6 +70,10 @@ describe('Array Utilities', () => {
       expect(unique([1, 2, 2, 3, 4, 4])).toEqual([1, 2, 3, 4]);
       expect(unique(['a', 'b', 'a'])).toEqual(['a', 'b']);
     });
+
+    test('accepts iterables', () => {
+      expect(unique(new Map([['a', 1], ['b', 1]]).values())).toEqual([1]);
+    });
   });
 
   describe('shuffle', () => {
@@ -59,6 +83,14 @@ describe('Array Utilities', () => {
       expect(shuffled).toHaveLength(5);
       expect(shuffled.sort()).toEqual([1, 2, 3, 4, 5]);
     });
+
+    test('is reproducible with a seeded random source', () => {
+      const arr = Array.from({ length: 20 }, (_, i) => i);
+      const shuffled = shuffle(arr, { random: createRandom(42) });
+      expect(shuffled).toEqual(shuffle(arr, { random: createRandom(42) }));
+      expect(shuffled).not.toEqual(arr);
+      expect(arr).toEqual(Array.from({ length: 20 }, (_, i) => i));
+    });
   });
 
   describe('randomElement', () => {
@@ -71,6 +103,83 @@ describe('Array Utilities', () => {
     test('returns undefined for empty array', () => {
       expect(randomElement([])).toBeUndefined();
     });
+
+    test('uses the given random source', () => {
+      expect(randomElement(['a', 'b', 'c'], { random: () => 0.5 })).toBe('b');
+      const arr = [1, 2, 3, 4, 5];
+      expect(randomElement(arr, { random: createRandom(1) })).toBe(randomElement(arr, { random: createRandom(1) }));
+    });
+  });
+
+  describe('sample', () => {
+    test('picks distinct elements', () => {
+      const arr = [1, 2, 3, 4, 5, 6, 7, 8];
+      const picked = sample(arr, 3);
+      expect(picked).toHaveLength(3);
+      expect(new Set(picked).size).toBe(3);
+      picked.forEach(item => expect(arr).toContain(item));
+    });
+
+    test('caps at the array length and handles zero', () => {
+      expect(sample([1, 2, 3], 10).sort()).toEqual([1, 2, 3]);
+      expect(sample([1, 2, 3], 0)).toEqual([]);
+    });
+
+    test('is reproducible and validates input', () => {
+      const arr = ['a', 'b', 'c', 'd', 'e'];
+      expect(sample(arr, 2, { random: createRandom(5) })).toEqual(sample(arr, 2, { random: createRandom(5) }));
+      expect(() => sample(arr, -1)).toThrow(RangeError);
+      expect(() => sample('abc', 1)).toThrow(TypeError);
+    });
+  });
+
+  describe('weightedRandom', () => {
+    test('picks according to weights', () => {
+      const random = createRandom(11);
+      const counts = { common: 0, rare: 0, never: 0 };
+      for (let i = 0; i < 5000; i++) counts[weightedRandom(['common', 'rare', 'never'], [9, 1, 0], { random })]++;
+      expect(counts.never).toBe(0);
+      expect(counts.common / 5000).toBeCloseTo(0.9, 1);
+    });
+
+    test('maps the random value onto cumulative weights', () => {
+      expect(weightedRandom(['a', 'b', 'c'], [1, 0, 1], { random: () => 0.49 })).toBe('a');
+      expect(weightedRandom(['a', 'b', 'c'], [1, 0, 1], { random: () => 0.5 })).toBe('c');
+      expect(weightedRandom([], [])).toBeUndefined();
+    });
+
+    test('validates weights', () => {
+      expect(() => weightedRandom(['a'], [1, 2])).toThrow(RangeError);
+      expect(() => weightedRandom(['a', 'b'], [1, -1])).toThrow(RangeError);
+      expect(() => weightedRandom(['a', 'b'], [0, 0])).toThrow(RangeError);
+      expect(() => weightedRandom('ab', [1, 1])).toThrow(TypeError);
+    });
+  });
+
+  describe('reservoirSample', () => {
+    test('samples from any iterable', () => {
+      function* numbers() {
+        for (let i = 0; i < 1000; i++) yield i;
+      }
+      const picked = reservoirSample(numbers(), 10);
+      expect(picked).toHaveLength(10);
+      expect(new Set(picked).size).toBe(10);
+      expect(reservoirSample(new Set(['x', 'y']), 5).sort()).toEqual(['x', 'y']);
+    });
+
+    test('gives every element an equal chance', () => {
+      const random = createRandom(21);
+      const counts = new Array(10).fill(0);
+      for (let i = 0; i < 4000; i++) {
+        reservoirSample(counts.keys(), 2, { random }).forEach(index => counts[index]++);
+      }
+      counts.forEach(count => expect(Math.abs(count - 800)).toBeLessThan(120));
+    });
+
+    test('validates input', () => {
+      expect(() => reservoirSample(42, 1)).toThrow(TypeError);
+      expect(() => reservoirSample([1], 1.5)).toThrow(RangeError);
+    });
   });
 
   describe('compact', () => {
@@ -78,6 +187,10 @@ describe('Array Utilities', () => {
       expect(compact([0, 1, false, 2, '', 3, null, undefined, NaN]))
         .toEqual([1, 2, 3]);
     });
+
+    test('accepts iterables', () => {
+      expect(compact(new Set([0, 'a', null]))).toEqual(['a']);
+    });
   });
 
   describe('sortBy', () => {
@@ -86,6 +199,63 @@ describe('Array Utilities', () => {
       expect(sortBy(arr, 'a')).toEqual([{ a: 1 }, { a: 2 }, { a: 3 }]);
       expect(sortBy(arr, 'a', 'desc')).toEqual([{ a: 3 }, { a: 2 }, { a: 1 }]);
     });
+
+    test('sorts by multiple keys, paths and iteratees', () => {
+      const people = [
+        { user: { lastName: 'Smith' }, score: 70 },
+        { user: { lastName: 'Jones' }, score: 90 },
+        { user: { lastName: 'Smith' }, score: 95 },
+        { user: { lastName: 'Adams' }, score: 80 }
+      ];
+      const sorted = sortBy(people, [{ key: 'user.lastName', order: 'asc' }, { key: p => p.score, order: 'desc' }]);
+      expect(sorted.map(p => `${p.user.lastName}:${p.score}`))
+        .toEqual(['Adams:80', 'Jones:90', 'Smith:95', 'Smith:70']);
+      expect(sortBy([3, 1, 2])).toEqual([1, 2, 3]);
+      expect(sortBy(['ccc', 'a', 'bb'], 'length')).toEqual(['a', 'bb', 'ccc']);
+    });
+
+    test('uses locale collation and natural order', () => {
+      expect(sortBy(['Zoe', 'émile', 'adam', 'Eve'])).toEqual(['adam', 'émile', 'Eve', 'Zoe']);
+      expect(sortBy(['z', 'ä', 'a'], undefined, { locale: 'sv' })).toEqual(['a', 'z', 'ä']);
+      expect(sortBy(['item10', 'item2', 'item1'])).toEqual(['item1', 'item10', 'item2']);
+      expect(sortBy(['item10', 'item2', 'item1'], undefined, { natural: true })).toEqual(['item1', 'item2', 'item10']);
+    });
+
+    test('places missing values first or last regardless of order', () => {
+      const rows = [{ v: 2 }, { v: null }, { v: 1 }, {}, { v: NaN }];
+      expect(sortBy(rows, 'v').map(r => r.v)).toEqual([1, 2, null, undefined, NaN]);
+      expect(sortBy(rows, 'v', 'desc').map(r => r.v)).toEqual([2, 1, null, undefined, NaN]);
+      expect(sortBy(rows, { key: 'v', order: 'desc' }, { nulls: 'first' }).map(r => r.v))
+        .toEqual([null, undefined, NaN, 2, 1]);
+    });
+
+    test('is stable and compares dates', () => {
+      const items = Array.from({ length: 50 }, (_, i) => ({ group: i % 3, i }));
+      const sorted = sortBy(items, 'group');
+      sorted.forEach((item, index) => {
+        if (index && sorted[index - 1].group === item.group) expect(sorted[index - 1].i).toBeLessThan(item.i);
+      });
+      const dates = [new Date(2024, 5, 1), new Date(2023, 0, 1)];
+      expect(sortBy(dates)).toEqual([dates[1], dates[0]]);
+    });
+
+    test('validates keys and options', () => {
+      expect(() => sortBy([], 'a', 'up')).toThrow(RangeError);
+      expect(() => sortBy([], 'a', { nulls: 'middle' })).toThrow(RangeError);
+      expect(() => sortBy([], [true])).toThrow(TypeError);
+    });
+  });
+
+  describe('compareBy', () => {
+    test('creates a comparator for native sort', () => {
+      const files = [{ name: 'file10' }, { name: 'File2' }, { name: 'file1' }];
+      expect([...files].sort(compareBy('name', { natural: true })).map(f => f.name))
+        .toEqual(['file1', 'File2', 'file10']);
+      const comparator = compareBy([{ key: 'age', order: 'desc' }, 'name']);
+      expect(comparator({ age: 30, name: 'a' }, { age: 20, name: 'b' })).toBeLessThan(0);
+      expect(comparator({ age: 30, name: 'b' }, { age: 30, name: 'a' })).toBeGreaterThan(0);
+      expect(comparator({ age: 30, name: 'a' }, { age: 30, name: 'a' })).toBe(0);
+    });
   });
 
   describe('groupBy', () => {
@@ -96,23 +266,187 @@ describe('Array Utilities', () => {
         b: [{ type: 'b', val: 2 }]
       });
     });
+
+    test('groups by dot-paths and functions', () => {
+      const people = [{ name: 'Ann', address: { city: 'Oslo' } }, { name: 'Bob', address: { city: 'Rome' } }, { name: 'Al' }];
+      expect(groupBy(people, 'address.city')).toEqual({
+        Oslo: [people[0]],
+        Rome: [people[1]],
+        undefined: [people[2]]
+      });
+      expect(groupBy([1.2, 1.7, 2.1], Math.floor)).toEqual({ 1: [1.2, 1.7], 2: [2.1] });
+      expect(groupBy(['a', 'b', 'c'], (item, index) => (index % 2 ? 'odd' : 'even'))).toEqual({
+        even: ['a', 'c'],
+        odd: ['b']
+      });
+    });
+
+    test('handles keys that clash with Object.prototype', () => {
+      const rows = [{ k: '__proto__' }, { k: 'constructor' }, { k: 'toString' }, { k: '__proto__' }];
+      const groups = groupBy(rows, 'k');
+      expect(Object.keys(groups)).toEqual(['__proto__', 'constructor', 'toString']);
+      expect(groups.__proto__).toEqual([rows[0], rows[3]]);
+      expect(groups.constructor).toEqual([rows[1]]);
+      expect(Object.getPrototypeOf(groups)).toBe(Object.prototype);
+    });
+
+    test('returns a Map with typed keys', () => {
+      const groups = groupBy([1, '1', true, 1], item => item, { as: 'map' });
+      expect([...groups.keys()]).toEqual([1, '1', true]);
+      expect(groups.get(1)).toEqual([1, 1]);
+      expect(groupBy([1, '1'], item => item)).toEqual({ 1: [1, '1'] });
+      expect([...groupBy([10, 2, 10], item => item, { as: 'map' }).keys()]).toEqual([10, 2]);
+      expect(Object.keys(groupBy([10, 2, 10], item => item))).toEqual(['2', '10']);
+      expect(() => groupBy([], 'a', { as: 'set' })).toThrow(RangeError);
+    });
+
+    test('nests groups for multiple keys', () => {
+      const rows = [
+        { region: 'EU', year: 2023 },
+        { region: 'US', year: 2023 },
+        { region: 'EU', year: 2024 },
+        { region: 'EU', year: 2023 }
+      ];
+      expect(groupBy(rows, ['region', 'year'])).toEqual({
+        EU: { 2023: [rows[0], rows[3]], 2024: [rows[2]] },
+        US: { 2023: [rows[1]] }
+      });
+      const map = groupBy(rows, ['region', 'year'], { as: 'map' });
+      expect(map.get('EU').get(2023)).toEqual([rows[0], rows[3]]);
+      expect(() => groupBy(rows, [])).toThrow(RangeError);
+      expect(() => groupBy(rows, null)).toThrow(TypeError);
+    });
+  });
+
+  describe('aggregate', () => {
+    const sales = [
+      { region: 'EU', year: 2023, amount: 100, rep: 'ann' },
+      { region: 'US', year: 2023, amount: 250, rep: 'bob' },
+      { region: 'EU', year: 2024, amount: 300, rep: 'ann' },
+      { region: 'EU', year: 2023, amount: 50, rep: 'cid' },
+      { region: 'US', year: 2023, amount: null, rep: 'bob' }
+    ];
+
+    test('summarizes groups in order of first appearance', () => {
+      expect(aggregate(sales, { by: ['region', 'year'], metrics: { total: ['amount', 'sum'], n: 'count' } })).toEqual([
+        { region: 'EU', year: 2023, total: 150, n: 2 },
+        { region: 'EU', year: 2024, total: 300, n: 1 },
+        { region: 'US', year: 2023, total: 250, n: 2 }
+      ]);
+    });
+
+    test('supports every operation and skips missing values', () => {
+      const [us] = aggregate(sales.filter(s => s.region === 'US'), {
+        by: 'region',
+        metrics: {
+          rows: 'count',
+          amounts: ['amount', 'count'],
+          reps: ['rep', 'distinct'],
+          avg: ['amount', 'avg'],
+          min: ['amount', 'min'],
+          max: ['amount', 'max'],
+          first: ['rep', 'first'],
+          last: ['amount', 'last']
+        }
+      });
+      expect(us).toEqual({ region: 'US', rows: 2, amounts: 1, reps: 1, avg: 250, min: 250, max: 250, first: 'bob', last: 250 });
+    });
+
+    test('summarizes everything without by, and accepts functions', () => {
+      expect(aggregate(sales, {
+        metrics: { total: ['amount', 'sum'], big: rows => rows.filter(r => r.amount > 200).length }
+      })).toEqual([{ total: 700, big: 2 }]);
+      expect(aggregate([], { metrics: { n: 'count', avg: ['amount', 'avg'] } })).toEqual([{ n: 0, avg: null }]);
+      expect(aggregate([], { by: 'region', metrics: { n: 'count' } })).toEqual([]);
+      expect(aggregate(sales, { by: { key: s => s.amount >= 100, as: 'large' }, metrics: { n: 'count' } }))
+        .toEqual([{ large: true, n: 3 }, { large: false, n: 2 }]);
+    });
+
+    test('validates the spec', () => {
+      expect(() => aggregate(sales, { by: s => s.region, metrics: {} })).toThrow(TypeError);
+      expect(() => aggregate(sales, { metrics: { x: ['amount', 'median'] } })).toThrow(RangeError);
+      expect(() => aggregate(sales, { metrics: { x: 'sum' } })).toThrow(TypeError);
+      expect(() => aggregate('rows', {})).toThrow(TypeError);
+    });
   });
 
   describe('intersection', () => {
     test('finds intersection', () => {
       expect(intersection([1, 2, 3], [2, 3, 4])).toEqual([2, 3]);
     });
+
+    test('accepts any number of arrays', () => {
+      expect(intersection([1, 2, 3], [2, 3, 4], [3, 4, 5])).toEqual([3]);
+      expect(intersection([1, 1, 2], [1])).toEqual([1, 1]);
+      expect(intersection([NaN, 1], [NaN])).toEqual([NaN]);
+      expect(intersection([1, 2])).toEqual([1, 2]);
+      expect(intersection()).toEqual([]);
+      expect(() => intersection([1], 'a')).toThrow(TypeError);
+    });
+
+    test('handles large inputs in linear time', () => {
+      const a = Array.from({ length: 50000 }, (_, i) => i);
+      const b = Array.from({ length: 50000 }, (_, i) => i * 2);
+      expect(intersection(a, b)).toHaveLength(25000);
+      expect(difference(a, b)).toHaveLength(25000);
+    });
   });
 
   describe('difference', () => {
     test('finds difference', () => {
       expect(difference([1, 2, 3], [2, 3, 4])).toEqual([1]);
+      expect(difference([1, 2, 3, 4], [2], [4])).toEqual([1, 3]);
     });
   });
 
   describe('union', () => {
     test('finds union', () => {
       expect(union([1, 2, 3], [2, 3, 4])).toEqual([1, 2, 3, 4]);
+      expect(union([1], [2], [1, 3])).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('symmetricDifference', () => {
+    test('finds items present in exactly one array', () => {
+      expect(symmetricDifference([1, 2, 3], [2, 3, 4])).toEqual([1, 4]);
+      expect(symmetricDifference([1, 2], [2, 3], [3, 4])).toEqual([1, 4]);
+      expect(symmetricDifference([1, 1, 2], [2])).toEqual([1]);
+    });
+  });
+
+  describe('set operations by key', () => {
+    const ledger = [{ id: 1, amount: 10 }, { id: 2, amount: 20 }, { id: 3, amount: 30 }];
+    const bank = [{ id: 2, amount: 20 }, { id: 3, amount: 31 }, { id: 4, amount: 40 }];
+
+    test('intersectionBy and differenceBy compare by path or function', () => {
+      expect(intersectionBy(ledger, bank, 'id')).toEqual([ledger[1], ledger[2]]);
+      expect(differenceBy(ledger, bank, 'id')).toEqual([ledger[0]]);
+      expect(intersectionBy([1.2, 2.5], [1.9, 3.1], Math.floor)).toEqual([1.2]);
+      expect(intersectionBy([{ a: { b: 1 } }, { a: { b: 2 } }], [{ a: { b: 2 } }], 'a.b')).toEqual([{ a: { b: 2 } }]);
+    });
+
+    test('unionBy and uniqueBy keep the first item per key', () => {
+      expect(unionBy(ledger, bank, 'id').map(row => row.amount)).toEqual([10, 20, 30, 40]);
+      expect(uniqueBy([{ id: 1, v: 'a' }, { id: 1, v: 'b' }, { id: 2 }], 'id')).toEqual([{ id: 1, v: 'a' }, { id: 2 }]);
+      expect(uniqueBy(['a', 'B', 'A'], s => s.toLowerCase())).toEqual(['a', 'B']);
+    });
+
+    test('validates the iteratee', () => {
+      expect(() => intersectionBy(ledger, bank, {})).toThrow(TypeError);
+      expect(() => uniqueBy('abc', 'id')).toThrow(TypeError);
+    });
+  });
+
+  describe('set operations with a comparator', () => {
+    test('compare items with isEqual', () => {
+      expect(intersectionWith([{ a: 1 }, { a: 2 }], [{ a: 1 }], isEqual)).toEqual([{ a: 1 }]);
+      expect(differenceWith([{ a: 1 }, { a: 2 }], [{ a: 1 }], [{ a: 3 }], isEqual)).toEqual([{ a: 2 }]);
+      expect(unionWith([{ a: 1 }], [{ a: 1 }, { a: 2 }], isEqual)).toEqual([{ a: 1 }, { a: 2 }]);
+      expect(uniqueWith([{ a: 1 }, { a: 1 }, { a: 2 }], isEqual)).toEqual([{ a: 1 }, { a: 2 }]);
+    });
+
+    test('require a comparator function', () => {
+      expect(() => unionWith([1], [2], 'id')).toThrow(TypeError);
     });
   });
 
@@ -120,6 +454,16 @@ describe('Array Utilities', () => {
     test('zips arrays', () => {
       expect(zip([1, 2], ['a', 'b'], [true, false])).toEqual([[1, 'a', true], [2, 'b', false]]);
     });
+
+    test('accepts iterables, including infinite generators', () => {
+      function* naturals() {
+        let n = 0;
+        while (true) yield n++;
+      }
+      expect(zip(naturals(), new Set(['a', 'b']))).toEqual([[0, 'a'], [1, 'b']]);
+      expect(zip()).toEqual([]);
+      expect(() => zip([1], 'ab')).toThrow(TypeError);
+    });
   });
 
   describe('range', () => {
@@ -171,11 +515,22 @@ describe('Array Utilities', () => {
       expect(take([1, 2, 3, 4, 5], 3)).toEqual([1, 2, 3]);
       expect(take([10, 21, 31, 41, 51], 4)).toEqual([10, 21, 31, 41]);
     });
+
+    test('reads no further than needed from iterables', () => {
+      let pulled = 0;
+      function* counter() {
+        while (true) yield ++pulled;
+      }
+      expect(take(counter(), 3)).toEqual([1, 2, 3]);
+      expect(pulled).toBe(3);
+      expect(take(new Set([1, 2]), 0)).toEqual([]);
+    });
   });
 
   describe('drop', () => {
     test('drops first n elements', () => {
       expect(drop([1, 2, 3, 4, 5], 2)).toEqual([3, 4, 5]);
+      expect(drop(new Set([1, 2, 3]))).toEqual([2, 3]);
     });
   });
 
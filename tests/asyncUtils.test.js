@@ -0,0 +1,262 @@
+import { jest } from '@jest/globals';
+import {
+  mapAsync,
+  filterAsync,
+  forEachAsync,
+  mapSettled,
+  batchAsync,
+  retry
+} from '../src/asyncUtils.js';
+
+// Resolves with `value` after `ms`, tracking how many calls are in flight.
+const createTask = () => {
+  const task = { active: 0, peak: 0, calls: [] };
+  task.run = (value, ms, fail = false) => {
+    task.calls.push(value);
+    task.active++;
+    task.peak = Math.max(task.peak, task.active);
+    return new Promise((resolve, reject) => setTimeout(() => {
+      task.active--;
+      if (fail) reject(new Error(`failed ${value}`));
+      else resolve(value);
+    }, ms));
+  };
+  return task;
+};
+
+describe('Async Utilities', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('mapAsync', () => {
+    test('keeps the input order when calls finish out of order', async () => {
+      const task = createTask();
+      const promise = mapAsync([30, 10, 20], (ms, index) => task.run(`${index}:${ms}`, ms));
+      await jest.advanceTimersByTimeAsync(30);
+      await expect(promise).resolves.toEqual(['0:30', '1:10', '2:20']);
+      expect(task.peak).toBe(3);
+    });
+
+    test('limits concurrency', async () => {
+      const task = createTask();
+      const promise = mapAsync([1, 2, 3, 4, 5], n => task.run(n * 2, 100), { concurrency: 2 });
+      await jest.advanceTimersByTimeAsync(100);
+      expect(task.calls).toEqual([2, 4, 6, 8]);
+      await jest.advanceTimersByTimeAsync(200);
+      await expect(promise).resolves.toEqual([2, 4, 6, 8, 10]);
+      expect(task.peak).toBe(2);
+    });
+
+    test('fails fast and aborts the signal passed to in-flight calls', async () => {
+      const task = createTask();
+      const signals = [];
+      const promise = mapAsync([1, 2, 3, 4], (n, index, { signal }) => {
+        signals.push(signal);
+        return task.run(n, n * 10, n === 2);
+      }, { concurrency: 2 });
+      const assertion = expect(promise).rejects.toThrow('failed 2');
+      await jest.advanceTimersByTimeAsync(20);
+      await assertion;
+      expect(signals[0].aborted).toBe(true);
+      await jest.advanceTimersByTimeAsync(100);
+      expect(task.calls).toEqual([1, 2, 3]);
+    });
+
+    test('accepts iterables and validates arguments', async () => {
+      await expect(mapAsync(new Set([1, 2]), async n => n + 1)).resolves.toEqual([2, 3]);
+      await expect(mapAsync([], async n => n)).resolves.toEqual([]);
+      await expect(mapAsync('ab', async n => n)).rejects.toThrow(TypeError);
+      await expect(mapAsync([1], 'fn')).rejects.toThrow(TypeError);
+      await expect(mapAsync([1], async n => n, { concurrency: 0 })).rejects.toThrow(RangeError);
+    });
+  });
+
+  describe('AbortSignal', () => {
+    test('rejects with the abort reason and stops starting new work', async () => {
+      const task = createTask();
+      const controller = new AbortController();
+      const promise = mapAsync([1, 2, 3], n => task.run(n, 100), { concurrency: 1, signal: controller.signal });
+      const assertion = expect(promise).rejects.toThrow('cancelled');
+      await jest.advanceTimersByTimeAsync(50);
+      controller.abort(new Error('cancelled'));
+      await assertion;
+      await jest.advanceTimersByTimeAsync(500);
+      expect(task.calls).toEqual([1]);
+    });
+
+    test('rejects immediately when already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const fn = jest.fn(async n => n);
+      await expect(mapAsync([1], fn, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    test('passes the failure reason to in-flight calls', async () => {
+      const task = createTask();
+      const signals = [];
+      const promise = mapAsync([1, 2], (n, index, { signal }) => {
+        signals.push(signal);
+        return task.run(n, n * 10, n === 1);
+      });
+      const assertion = expect(promise).rejects.toThrow('failed 1');
+      await jest.advanceTimersByTimeAsync(20);
+      await assertion;
+      expect(signals[1].aborted).toBe(true);
+      expect(signals[1].reason).toEqual(new Error('failed 1'));
+    });
+
+    test('works without a global AbortController', async () => {
+      const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'AbortController');
+      delete globalThis.AbortController;
+      try {
+        const task = createTask();
+        const signals = [];
+        const aborted = jest.fn();
+        const promise = mapAsync([1, 2], (n, index, { signal }) => {
+          signals.push(signal);
+          signal.addEventListener('abort', aborted);
+          return task.run(n, n * 10, n === 1);
+        });
+        const assertion = expect(promise).rejects.toThrow('failed 1');
+        await jest.advanceTimersByTimeAsync(20);
+        await assertion;
+        expect(signals[1]).toMatchObject({ aborted: true, reason: new Error('failed 1') });
+        expect(aborted).toHaveBeenCalledTimes(1);
+        await expect(mapAsync([1, 2], async n => n * 2)).resolves.toEqual([2, 4]);
+      } finally {
+        Object.defineProperty(globalThis, 'AbortController', descriptor);
+      }
+    });
+  });
+
+  describe('filterAsync', () => {
+    test('keeps items whose predicate resolves truthy, in order', async () => {
+      const task = createTask();
+      const promise = filterAsync([5, 1, 4, 2], n => task.run(n % 2 === 0, n * 10), { concurrency: 2 });
+      await jest.advanceTimersByTimeAsync(100);
+      await expect(promise).resolves.toEqual([4, 2]);
+    });
+  });
+
+  describe('forEachAsync', () => {
+    test('runs every call and resolves to undefined', async () => {
+      const seen = [];
+      const promise = forEachAsync(['a', 'b', 'c'], async (item, index) => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        seen.push(`${index}${item}`);
+      }, { concurrency: 1 });
+      await jest.advanceTimersByTimeAsync(30);
+      await expect(promise).resolves.toBeUndefined();
+      expect(seen).toEqual(['0a', '1b', '2c']);
+    });
+  });
+
+  describe('mapSettled', () => {
+    test('collects errors per item instead of failing fast', async () => {
+      const task = createTask();
+      const promise = mapSettled([1, 2, 3], n => task.run(n, 10, n === 2), { concurrency: 2 });
+      await jest.advanceTimersByTimeAsync(20);
+      const results = await promise;
+      expect(results[0]).toEqual({ status: 'fulfilled', value: 1 });
+      expect(results[1].status).toBe('rejected');
+      expect(results[1].reason.message).toBe('failed 2');
+      expect(results[2]).toEqual({ status: 'fulfilled', value: 3 });
+    });
+  });
+
+  describe('batchAsync', () => {
+    test('calls the function once per chunk, one batch at a time by default', async () => {
+      const task = createTask();
+      const promise = batchAsync([1, 2, 3, 4, 5], 2, batch => task.run(batch.length, 10));
+      await jest.advanceTimersByTimeAsync(30);
+      await expect(promise).resolves.toEqual([2, 2, 1]);
+      expect(task.peak).toBe(1);
+    });
+
+    test('passes the batch index and honours concurrency', async () => {
+      const fn = jest.fn(async (batch, index) => `${index}:${batch.join(',')}`);
+      await expect(batchAsync(['a', 'b', 'c'], 2, fn, { concurrency: 2 })).resolves.toEqual(['0:a,b', '1:c']);
+      await expect(batchAsync([1], 0, fn)).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe('retry', () => {
+    test('retries with exponential backoff until it succeeds', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(new Error('busy'))
+        .mockRejectedValueOnce(new Error('busy'))
+        .mockResolvedValue('ok');
+      const onRetry = jest.fn();
+      const promise = retry(fn, { attempts: 3, delay: 100, onRetry });
+
+      await jest.advanceTimersByTimeAsync(99);
+      expect(fn).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(fn).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(200);
+      await expect(promise).resolves.toBe('ok');
+      expect(fn).toHaveBeenLastCalledWith(3, { signal: undefined });
+      expect(onRetry.mock.calls.map(([, info]) => info)).toEqual([{ attempt: 1, delay: 100 }, { attempt: 2, delay: 200 }]);
+    });
+
+    test('rejects with the last error after the final attempt', async () => {
+      const fn = jest.fn(async attempt => {
+        throw new Error(`attempt ${attempt}`);
+      });
+      const promise = retry(fn, { attempts: 2, delay: 50, backoff: 'fixed' });
+      const assertion = expect(promise).rejects.toThrow('attempt 2');
+      await jest.advanceTimersByTimeAsync(50);
+      await assertion;
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test('supports linear backoff, maxDelay and jitter', async () => {
+      const delays = [];
+      const fn = jest.fn().mockRejectedValue(new Error('down'));
+      const onRetry = (error, { delay }) => delays.push(delay);
+
+      let promise = retry(fn, { attempts: 4, delay: 100, backoff: 'linear', maxDelay: 250, onRetry });
+      let assertion = expect(promise).rejects.toThrow('down');
+      await jest.advanceTimersByTimeAsync(1000);
+      await assertion;
+      expect(delays).toEqual([100, 200, 250]);
+
+      delays.length = 0;
+      promise = retry(fn, { attempts: 3, delay: 100, jitter: true, random: () => 0.5, onRetry });
+      assertion = expect(promise).rejects.toThrow('down');
+      await jest.advanceTimersByTimeAsync(1000);
+      await assertion;
+      expect(delays).toEqual([50, 100]);
+    });
+
+    test('stops when retryIf returns false', async () => {
+      const fn = jest.fn().mockRejectedValue(Object.assign(new Error('bad request'), { status: 400 }));
+      await expect(retry(fn, { retryIf: error => error.status >= 500 })).rejects.toThrow('bad request');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('cancels the pending wait when the signal aborts', async () => {
+      const controller = new AbortController();
+      const fn = jest.fn().mockRejectedValue(new Error('busy'));
+      const promise = retry(fn, { attempts: 5, delay: 1000, signal: controller.signal });
+      const assertion = expect(promise).rejects.toThrow('stop');
+      await jest.advanceTimersByTimeAsync(10);
+      controller.abort(new Error('stop'));
+      await assertion;
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('validates options', async () => {
+      await expect(retry(async () => 1, { attempts: 0 })).rejects.toThrow(RangeError);
+      await expect(retry(async () => 1, { backoff: 'random' })).rejects.toThrow(RangeError);
+      await expect(retry('fn')).rejects.toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  diffLines,
+  diffWords,
+  diffChars,
+  createPatch,
+  applyPatch
+} from '../src/diffUtils.js';
+
+describe('Diff Utilities', () => {
+  describe('diffLines', () => {
+    test('returns equal, removed and added segments', () => {
+      expect(diffLines('a\nb\nc\n', 'a\nB\nc\n')).toEqual([
+        { type: 'equal', value: 'a\n', count: 1 },
+        { type: 'removed', value: 'b\n', count: 1 },
+        { type: 'added', value: 'B\n', count: 1 },
+        { type: 'equal', value: 'c\n', count: 1 }
+      ]);
+    });
+
+    test('handles empty and identical inputs', () => {
+      expect(diffLines('', '')).toEqual([]);
+      expect(diffLines('', 'a\n')).toEqual([{ type: 'added', value: 'a\n', count: 1 }]);
+      expect(diffLines('a\nb', 'a\nb')).toEqual([{ type: 'equal', value: 'a\nb', count: 2 }]);
+    });
+
+    test('finds a minimal diff', () => {
+      const segments = diffLines('a\nb\nc\na\nb\nb\na\n', 'c\nb\na\nb\na\nc\n');
+      const equal = segments.filter(s => s.type === 'equal').reduce((n, s) => n + s.count, 0);
+      expect(equal).toBe(4);
+      expect(segments.filter(s => s.type !== 'added').map(s => s.value).join('')).toBe('a\nb\nc\na\nb\nb\na\n');
+      expect(segments.filter(s => s.type !== 'removed').map(s => s.value).join('')).toBe('c\nb\na\nb\na\nc\n');
+    });
+
+    test('stays fast on large inputs', () => {
+      const before = Array.from({ length: 5000 }, (_, i) => `line ${i}`).join('\n');
+      const after = before.replace(/line (\d*7)\b/g, 'changed $1');
+      const segments = diffLines(before, after);
+      expect(segments.filter(s => s.type === 'removed').reduce((n, s) => n + s.count, 0)).toBe(500);
+    });
+
+    test('throws for non-strings', () => {
+      expect(() => diffLines(null, 'a')).toThrow(TypeError);
+    });
+  });
+
+  describe('diffWords', () => {
+    test('compares words', () => {
+      expect(diffWords('the quick fox', 'the slow fox')).toEqual([
+        { type: 'equal', value: 'the ', count: 2 },
+        { type: 'removed', value: 'quick', count: 1 },
+        { type: 'added', value: 'slow', count: 1 },
+        { type: 'equal', value: ' fox', count: 2 }
+      ]);
+      expect(diffWords('Hello, world', 'Hello world!').map(s => [s.type, s.value])).toEqual([
+        ['equal', 'Hello'], ['removed', ','], ['equal', ' world'], ['added', '!']
+      ]);
+    });
+  });
+
+  describe('diffChars', () => {
+    test('compares grapheme clusters', () => {
+      expect(diffChars('cat', 'cut').map(s => [s.type, s.value])).toEqual([
+        ['equal', 'c'], ['removed', 'a'], ['added', 'u'], ['equal', 't']
+      ]);
+      expect(diffChars('👍🏽', '👍🏿').map(s => s.type)).toEqual(['removed', 'added']);
+    });
+
+    test('falls back without Intl.Segmenter', () => {
+      const { Segmenter } = Intl;
+      Intl.Segmenter = undefined;
+      try {
+        expect(diffChars('👍🏽', '👍🏿').map(s => s.value)).toEqual(['👍🏽', '👍🏿']);
+      } finally {
+        Intl.Segmenter = Segmenter;
+      }
+    });
+  });
+
+  describe('createPatch', () => {
+    test('creates a unified diff', () => {
+      expect(createPatch('a\nb\nc\n', 'a\nB\nc\n', { context: 1 }))
+        .toBe('--- a\n+++ b\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+    });
+
+    test('splits distant changes into hunks', () => {
+      const before = 'l1\nl2\nl3\nl4\nl5\nl6\nl7\nl8\n';
+      const after = 'L1\nl2\nl3\nl4\nl5\nl6\nl7\nL8\n';
+      expect(createPatch(before, after, { context: 1, oldName: 'old.txt', newName: 'new.txt' })).toBe(
+        '--- old.txt\n+++ new.txt\n@@ -1,2 +1,2 @@\n-l1\n+L1\n l2\n@@ -7,2 +7,2 @@\n l7\n-l8\n+L8\n'
+      );
+    });
+
+    test('marks missing final newlines and empty ranges', () => {
+      expect(createPatch('a\nb', 'a\nc')).toBe(
+        '--- a\n+++ b\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+c\n\\ No newline at end of file\n'
+      );
+      expect(createPatch('', 'x\n')).toBe('--- a\n+++ b\n@@ -0,0 +1 @@\n+x\n');
+      expect(createPatch('same\n', 'same\n')).toBe('--- a\n+++ b\n');
+    });
+  });
+
+  describe('applyPatch', () => {
+    test('round-trips createPatch', () => {
+      const pairs = [
+        ['a\nb\nc\n', 'a\nB\nc\n'],
+        ['l1\nl2\nl3\nl4\nl5\nl6\nl7\nl8\n', 'L1\nl2\nl3\nl5\nl6\nl7\nl8\nl9'],
+        ['', 'new\nfile\n'],
+        ['gone\n', ''],
+        ['same', 'same']
+      ];
+      pairs.forEach(([before, after]) => {
+        [0, 1, 3].forEach(context => {
+          expect(applyPatch(before, createPatch(before, after, { context }))).toBe(after);
+        });
+      });
+    });
+
+    test('finds hunks whose lines moved', () => {
+      const patch = createPatch('a\nb\nc\n', 'a\nB\nc\n');
+      expect(applyPatch('new\nlines\na\nb\nc\n', patch)).toBe('new\nlines\na\nB\nc\n');
+    });
+
+    test('throws a clear error on conflicts', () => {
+      const patch = createPatch('a\nb\nc\n', 'a\nB\nc\n');
+      expect(() => applyPatch('a\nX\nc\n', patch))
+        .toThrow('Hunk 1 (@@ -1,3 +1,3 @@) does not apply: expected line 2 to be "b\\n", found "X\\n"');
+    });
+
+    test('reports hunks that overlap an earlier one', () => {
+      const patch = '--- a\n+++ b\n@@ -1,2 +1,2 @@\n-a\n+A\n b\n@@ -2,1 +2,1 @@\n-b\n+B\n';
+      expect(() => applyPatch('a\nb\nc\n', patch))
+        .toThrow('Hunk 2 (@@ -2,1 +2,1 @@) does not apply: it overlaps the previous hunk');
+    });
+
+    test('throws SyntaxError for malformed patches', () => {
+      expect(() => applyPatch('a\n', 'not a patch')).toThrow(SyntaxError);
+      expect(() => applyPatch('a\n', '--- a\n+++ b\n@@ -1,2 +1,2 @@\n-a\n+b\n')).toThrow(SyntaxError);
+      expect(() => applyPatch('a\n', '@@ -1 +1 @@\n*a\n')).toThrow(SyntaxError);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import {
+  toBase64,
+  fromBase64,
+  toBase64Url,
+  fromBase64Url,
+  toHex,
+  fromHex,
+  utf8ByteLength,
+  fnv1a,
+  murmur3,
+  crc32
+} from '../src/encodingUtils.js';
+
+describe('Encoding Utilities', () => {
+  describe('toBase64 / fromBase64', () => {
+    test('encodes RFC 4648 test vectors', () => {
+      const vectors = { '': '', f: 'Zg==', fo: 'Zm8=', foo: 'Zm9v', foob: 'Zm9vYg==', fooba: 'Zm9vYmE=', foobar: 'Zm9vYmFy' };
+      Object.entries(vectors).forEach(([input, output]) => {
+        expect(toBase64(input)).toBe(output);
+        expect(fromBase64(output)).toBe(input);
+      });
+    });
+
+    test('handles Unicode and bytes', () => {
+      expect(toBase64('héllo ✓')).toBe('aMOpbGxvIOKckw==');
+      expect(fromBase64('aMOpbGxvIOKckw==')).toBe('héllo ✓');
+      expect(fromBase64(toBase64('👍🏽'))).toBe('👍🏽');
+      const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+      expect(fromBase64(toBase64(bytes), { as: 'bytes' })).toEqual(bytes);
+    });
+
+    test('accepts whitespace and missing padding, rejects invalid input', () => {
+      expect(fromBase64('Zm9v\nYg')).toBe('foob');
+      expect(() => fromBase64('Zm9v*')).toThrow(SyntaxError);
+      expect(() => fromBase64('Z')).toThrow(SyntaxError);
+      expect(() => fromBase64('Zm9v', { as: 'json' })).toThrow(RangeError);
+      expect(() => toBase64(42)).toThrow(TypeError);
+    });
+  });
+
+  describe('toBase64Url / fromBase64Url', () => {
+    test('uses the URL-safe alphabet without padding', () => {
+      expect(toBase64Url('subjects?_d')).toBe('c3ViamVjdHM_X2Q');
+      expect(toBase64Url(new Uint8Array([251, 255]))).toBe('-_8');
+      expect(fromBase64Url('c3ViamVjdHM_X2Q')).toBe('subjects?_d');
+      expect(fromBase64Url('-_8=', { as: 'bytes' })).toEqual(new Uint8Array([251, 255]));
+      expect(() => fromBase64Url('a+b/')).toThrow(SyntaxError);
+    });
+  });
+
+  describe('toHex / fromHex', () => {
+    test('round-trips strings and bytes', () => {
+      expect(toHex('hi!')).toBe('686921');
+      expect(toHex('é')).toBe('c3a9');
+      expect(fromHex('686921')).toBe('hi!');
+      expect(fromHex('FF00', { as: 'bytes' })).toEqual(new Uint8Array([255, 0]));
+    });
+
+    test('rejects invalid hex', () => {
+      expect(() => fromHex('abc')).toThrow(SyntaxError);
+      expect(() => fromHex('zz')).toThrow(SyntaxError);
+    });
+  });
+
+  describe('utf8ByteLength', () => {
+    test('counts UTF-8 bytes', () => {
+      expect(utf8ByteLength('hello')).toBe(5);
+      expect(utf8ByteLength('héllo')).toBe(6);
+      expect(utf8ByteLength('€')).toBe(3);
+      expect(utf8ByteLength('👍')).toBe(4);
+      expect(utf8ByteLength('\uD800')).toBe(3);
+      expect(() => utf8ByteLength(null)).toThrow(TypeError);
+    });
+  });
+
+  describe('hashes', () => {
+    test('fnv1a matches reference values', () => {
+      expect(fnv1a('')).toBe(0x811c9dc5);
+      expect(fnv1a('a')).toBe(0xe40c292c);
+      expect(fnv1a('hello')).toBe(0x4f9f2cab);
+    });
+
+    test('murmur3 matches reference values', () => {
+      expect(murmur3('')).toBe(0);
+      expect(murmur3('', 1)).toBe(0x514e28b7);
+      expect(murmur3('hello')).toBe(0x248bfa47);
+      expect(murmur3('The quick brown fox jumps over the lazy dog')).toBe(0x2e4ff723);
+    });
+
+    test('crc32 matches reference values', () => {
+      expect(crc32('')).toBe(0);
+      expect(crc32('hello')).toBe(0x3610a686);
+      expect(crc32('The quick brown fox jumps over the lazy dog')).toBe(0x414fa339);
+    });
+
+    test('hash strings as UTF-8 so they match byte input', () => {
+      const bytes = new TextEncoder().encode('naïve 👍');
+      expect(fnv1a('naïve 👍')).toBe(fnv1a(bytes));
+      expect(murmur3('naïve 👍')).toBe(murmur3(bytes));
+      expect(crc32('naïve 👍')).toBe(crc32(bytes));
+    });
+  });
+});
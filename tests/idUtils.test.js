@@ -0,0 +1,149 @@
+import {
+  uuidv4,
+  uuidv7,
+  ulid,
+  nanoid,
+  randomString,
+  getIdTimestamp
+} from '../src/idUtils.js';
+import { isUuid, isUlid } from '../src/validationUtils.js';
+
+// Deterministic random source for reproducible output.
+const sequence = (seed = 1) => {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+};
+
+describe('ID Utilities', () => {
+  describe('uuidv4', () => {
+    test('generates valid, unique version 4 UUIDs', () => {
+      const ids = Array.from({ length: 100 }, () => uuidv4());
+      ids.forEach(id => expect(isUuid(id, { version: 4 })).toBe(true));
+      expect(new Set(ids).size).toBe(100);
+    });
+
+    test('is reproducible with an injected random source', () => {
+      expect(uuidv4({ random: sequence(42) })).toBe(uuidv4({ random: sequence(42) }));
+      expect(uuidv4({ random: () => 0 })).toBe('00000000-0000-4000-8000-000000000000');
+      expect(() => uuidv4({ random: 'nope' })).toThrow(TypeError);
+    });
+
+    test('falls back to Node crypto without a global crypto', () => {
+      const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+      delete globalThis.crypto;
+      try {
+        expect(globalThis.crypto).toBeUndefined();
+        expect(isUuid(uuidv4(), { version: 4 })).toBe(true);
+        expect(nanoid()).toMatch(/^[\w-]{21}$/);
+      } finally {
+        if (descriptor) Object.defineProperty(globalThis, 'crypto', descriptor);
+      }
+    });
+  });
+
+  describe('uuidv7', () => {
+    test('generates valid version 7 UUIDs with the timestamp first', () => {
+      const id = uuidv7({ now: 1700000000000 });
+      expect(isUuid(id, { version: 7 })).toBe(true);
+      expect(id.startsWith('018bcfe5-6800-7')).toBe(true);
+      expect(getIdTimestamp(id).getTime()).toBe(1700000000000);
+    });
+
+    test('stays monotonic within the same millisecond', () => {
+      const ids = Array.from({ length: 500 }, () => uuidv7({ now: 1700000000001 }));
+      expect([...ids].sort()).toEqual(ids);
+      expect(new Set(ids).size).toBe(500);
+    });
+
+    test('moves to the next millisecond when the random part overflows', () => {
+      const options = { now: 1700000000002, random: () => 0.999999 };
+      expect(uuidv7(options)).toBe('018bcfe5-6802-7fff-bfff-ffffffffffff');
+      expect(getIdTimestamp(uuidv7(options)).getTime()).toBe(1700000000003);
+    });
+
+    test('rejects invalid timestamps', () => {
+      expect(() => uuidv7({ now: -1 })).toThrow(RangeError);
+      expect(() => uuidv7({ now: 2 ** 48 })).toThrow(RangeError);
+    });
+  });
+
+  describe('ulid', () => {
+    test('generates valid ULIDs', () => {
+      const id = ulid({ now: 1469918176385 });
+      expect(id).toHaveLength(26);
+      expect(isUlid(id)).toBe(true);
+      expect(id.slice(0, 10)).toBe('01ARYZ6S41');
+    });
+
+    test('stays monotonic within the same millisecond', () => {
+      const first = ulid({ now: 1469918176386, random: () => 0 });
+      expect(first).toBe('01ARYZ6S420000000000000000');
+      expect(ulid({ now: 1469918176386, random: () => 0 })).toBe('01ARYZ6S420000000000000001');
+      const ids = Array.from({ length: 500 }, () => ulid());
+      expect([...ids].sort()).toEqual(ids);
+    });
+
+    test('sorts by creation time across milliseconds', () => {
+      const earlier = ulid({ now: 1000 });
+      const later = ulid({ now: 2000 });
+      expect(earlier < later).toBe(true);
+    });
+  });
+
+  describe('nanoid', () => {
+    test('generates URL-safe IDs of 21 characters by default', () => {
+      const id = nanoid();
+      expect(id).toMatch(/^[\w-]{21}$/);
+      expect(nanoid(10)).toHaveLength(10);
+      expect(nanoid(0)).toBe('');
+    });
+
+    test('uses a custom alphabet and random source', () => {
+      expect(nanoid(8, '0123456789abcdef')).toMatch(/^[\da-f]{8}$/);
+      expect(nanoid(5, 'ab', { random: sequence(7) })).toBe(nanoid(5, 'ab', { random: sequence(7) }));
+      expect(nanoid(3, 'xyz', { random: () => 0.5 })).toBe('yyy');
+    });
+
+    test('rejects invalid arguments', () => {
+      expect(() => nanoid(-1)).toThrow(RangeError);
+      expect(() => nanoid(5, '')).toThrow(RangeError);
+    });
+  });
+
+  describe('randomString', () => {
+    test('generates alphanumeric strings by default', () => {
+      expect(randomString(32)).toMatch(/^[A-Za-z\d]{32}$/);
+    });
+
+    test('uses a custom charset, including astral characters', () => {
+      expect(randomString(6, '0123456789')).toMatch(/^\d{6}$/);
+      expect(Array.from(randomString(4, '🍎🍌'))).toHaveLength(4);
+    });
+
+    test('covers the whole charset', () => {
+      const seen = new Set(randomString(2000, 'abcdefg'));
+      expect(seen.size).toBe(7);
+    });
+
+    test('rejects invalid arguments', () => {
+      expect(() => randomString(1.5)).toThrow(RangeError);
+      expect(() => randomString(4, 42)).toThrow(TypeError);
+    });
+  });
+
+  describe('getIdTimestamp', () => {
+    test('reads the time from a ULID', () => {
+      expect(getIdTimestamp('01ARZ3NDEKTSV4RRFFQ69G5FAV').toISOString()).toBe('2016-07-30T23:54:10.259Z');
+      expect(getIdTimestamp('01arz3ndektsv4rrffq69g5fav').getTime()).toBe(1469922850259);
+    });
+
+    test('rejects other IDs', () => {
+      expect(() => getIdTimestamp(uuidv4())).toThrow(SyntaxError);
+      expect(() => getIdTimestamp('not-an-id')).toThrow(SyntaxError);
+      expect(() => getIdTimestamp(42)).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import {
+  pluralCategory,
+  pluralize,
+  singularize,
+  ordinal,
+  addPluralRule,
+  addSingularRule,
+  addIrregularRule,
+  addUncountableRule,
+  resetInflections
+} from '../src/inflectionUtils.js';
+
+describe('Inflection Utilities', () => {
+  describe('pluralCategory', () => {
+    test('selects the plural category', () => {
+      expect(pluralCategory(1)).toBe('one');
+      expect(pluralCategory(5)).toBe('other');
+      expect(pluralCategory(3, { locale: 'ru' })).toBe('few');
+      expect(pluralCategory(2, { type: 'ordinal' })).toBe('two');
+    });
+
+    test('throws error for non-number input', () => {
+      expect(() => pluralCategory('1')).toThrow(TypeError);
+    });
+  });
+
+  describe('pluralize', () => {
+    test('applies English rules', () => {
+      expect(pluralize('item')).toBe('items');
+      expect(pluralize('box')).toBe('boxes');
+      expect(pluralize('city')).toBe('cities');
+      expect(pluralize('knife')).toBe('knives');
+      expect(pluralize('analysis')).toBe('analyses');
+      expect(pluralize('cactus')).toBe('cacti');
+    });
+
+    test('handles irregulars and uncountables', () => {
+      expect(pluralize('person')).toBe('people');
+      expect(pluralize('child')).toBe('children');
+      expect(pluralize('sheep')).toBe('sheep');
+      expect(pluralize('news')).toBe('news');
+    });
+
+    test('keeps the case pattern', () => {
+      expect(pluralize('Person')).toBe('People');
+      expect(pluralize('BOX')).toBe('BOXES');
+      expect(pluralize('iPhone')).toBe('iPhones');
+    });
+
+    test('inflects the last word of a phrase', () => {
+      expect(pluralize('user category')).toBe('user categories');
+    });
+
+    test('leaves plural words alone', () => {
+      expect(pluralize('boxes')).toBe('boxes');
+      expect(pluralize('people')).toBe('people');
+      expect(pluralize('ideas')).toBe('ideas');
+      expect(pluralize('tokens')).toBe('tokens');
+    });
+
+    test('pluralizes singular words that look plural', () => {
+      expect(['gas', 'alias', 'canvas', 'bias', 'atlas', 'lens', 'iris'].map(word => pluralize(word)))
+        .toEqual(['gases', 'aliases', 'canvases', 'biases', 'atlases', 'lenses', 'irises']);
+      expect(pluralize('slice')).toBe('slices');
+      expect(pluralize('blouse')).toBe('blouses');
+      expect(pluralize('safe')).toBe('safes');
+      expect(pluralize('cafe')).toBe('cafes');
+      expect(pluralize('virus')).toBe('viruses');
+      expect(pluralize('midwife')).toBe('midwives');
+    });
+
+    test('uses the count', () => {
+      expect(pluralize('item', 1)).toBe('item');
+      expect(pluralize('item', 0)).toBe('items');
+      expect(pluralize('item', 3, { inclusive: true })).toBe('3 items');
+    });
+
+    test('picks locale forms by plural category', () => {
+      const forms = { one: 'книга', few: 'книги', many: 'книг' };
+      expect(pluralize('книга', 1, { locale: 'ru', forms })).toBe('книга');
+      expect(pluralize('книга', 3, { locale: 'ru', forms })).toBe('книги');
+      expect(pluralize('книга', 5, { locale: 'ru', forms })).toBe('книг');
+    });
+
+    test('throws error for non-string input', () => {
+      expect(() => pluralize(null)).toThrow(TypeError);
+    });
+  });
+
+  describe('singularize', () => {
+    test('applies English rules', () => {
+      expect(singularize('items')).toBe('item');
+      expect(singularize('boxes')).toBe('box');
+      expect(singularize('buses')).toBe('bus');
+      expect(singularize('wolves')).toBe('wolf');
+      expect(singularize('criteria')).toBe('criterion');
+      expect(singularize('mice')).toBe('mouse');
+      expect(singularize('irises')).toBe('iris');
+      expect(singularize('lenses')).toBe('lens');
+      expect(singularize('slices')).toBe('slice');
+      expect(singularize('safes')).toBe('safe');
+      expect(singularize('abuses')).toBe('abuse');
+      expect(singularize('viruses')).toBe('virus');
+      expect(singularize('cafes')).toBe('cafe');
+    });
+
+    test('keeps the case pattern', () => {
+      expect(singularize('People')).toBe('Person');
+      expect(singularize('CATEGORIES')).toBe('CATEGORY');
+    });
+
+    test('leaves singular words alone', () => {
+      expect(singularize('status')).toBe('status');
+      expect(singularize('glass')).toBe('glass');
+      expect(singularize('person')).toBe('person');
+      expect(singularize('gas')).toBe('gas');
+      expect(singularize('lens')).toBe('lens');
+    });
+  });
+
+  describe('ordinal', () => {
+    test('formats English ordinals', () => {
+      expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 23, 101, 111].map(n => ordinal(n)))
+        .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '23rd', '101st', '111th']);
+    });
+
+    test('formats other locales', () => {
+      expect(ordinal(1, { locale: 'fr' })).toBe('1er');
+      expect(ordinal(2, { locale: 'fr-CA' })).toBe('2e');
+      expect(ordinal(3, { locale: 'de' })).toBe('3.');
+      expect(ordinal(4, { locale: 'ja', suffixes: { other: '番目' } })).toBe('4番目');
+    });
+
+    test('throws for locales without suffixes', () => {
+      expect(() => ordinal(1, { locale: 'ja' })).toThrow(RangeError);
+    });
+  });
+
+  describe('custom rules', () => {
+    afterEach(() => {
+      resetInflections();
+    });
+
+    test('adds plural and singular rules', () => {
+      addPluralRule(/(gen)us$/i, '$1era');
+      addSingularRule(/(gen)era$/i, '$1us');
+      expect(pluralize('genus')).toBe('genera');
+      expect(singularize('genera')).toBe('genus');
+    });
+
+    test('adds irregular pairs', () => {
+      addIrregularRule('octopus', 'octopuses');
+      expect(pluralize('Octopus')).toBe('Octopuses');
+      expect(singularize('octopuses')).toBe('octopus');
+    });
+
+    test('adds uncountable words and patterns', () => {
+      addUncountableRule('pokemon');
+      addUncountableRule(/craft$/i);
+      expect(pluralize('pokemon')).toBe('pokemon');
+      expect(pluralize('spacecraft')).toBe('spacecraft');
+    });
+
+    test('resets to the built-in rules', () => {
+      addPluralRule(/(gen)us$/i, '$1era');
+      addIrregularRule('octopus', 'octopuses');
+      addUncountableRule('pokemon');
+      addUncountableRule(/craft$/i);
+      resetInflections();
+      expect(pluralize('genus')).toBe('genuses');
+      expect(pluralize('octopus')).toBe('octopi');
+      expect(pluralize('pokemon')).toBe('pokemons');
+      expect(pluralize('spacecraft')).toBe('spacecrafts');
+      expect(pluralize('person')).toBe('people');
+      expect(pluralize('sheep')).toBe('sheep');
+    });
+  });
+});
@@ -6,6 +6,11 @@ import {
   isEmpty,
   invert,
   mapKeys,
+  transformKeysDeep,
+  camelizeKeys,
+  snakeizeKeys,
+  kebabizeKeys,
+  pascalizeKeys,
   mapValues,
   defaults,
   getNestedValue,
@@ -90,6 +95,94 @@ describe('Object Utilities', () => {
     });
   });
 
+  describe('transformKeysDeep', () => {
+    test('transforms keys in nested objects and arrays', () => {
+      expect(transformKeysDeep({ a: { b: [{ c: 1 }, 2] } }, key => key.toUpperCase()))
+        .toEqual({ A: { B: [{ C: 1 }, 2] } });
+      expect(transformKeysDeep([{ a: 1 }], (key, path) => path)).toEqual([{ '0.a': 1 }]);
+    });
+
+    test('keeps Dates, Maps and class instances as they are', () => {
+      class Point { constructor() { this.x_pos = 1; } }
+      const date = new Date(0);
+      const map = new Map([['a_b', 1]]);
+      const point = new Point();
+      const result = transformKeysDeep({ date, map, point }, key => key.toUpperCase());
+      expect(result.DATE).toBe(date);
+      expect(result.MAP).toBe(map);
+      expect(result.POINT).toBe(point);
+    });
+
+    test('skips excluded paths and keys', () => {
+      const obj = { a: { _b: { c: 1 } }, list: [{ raw: { x: 1 }, y: 2 }] };
+      expect(transformKeysDeep(obj, key => key.toUpperCase(), { exclude: [/^_/, 'list.*.raw'] }))
+        .toEqual({ A: { _b: { c: 1 } }, LIST: [{ raw: { x: 1 }, Y: 2 }] });
+    });
+
+    test('keeps __proto__ as a plain key', () => {
+      const result = transformKeysDeep(JSON.parse('{"__proto__": {"a_b": 1}}'), key => key);
+      expect(Object.keys(result)).toEqual(['__proto__']);
+      expect({}.a_b).toBeUndefined();
+    });
+
+    test('keeps an excluded __proto__ as a plain key', () => {
+      const result = transformKeysDeep(JSON.parse('{"__proto__": {"polluted": 1}}'), key => key, { exclude: [/^__/] });
+      expect(Object.keys(result)).toEqual(['__proto__']);
+      expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+      expect(result.polluted).toBeUndefined();
+    });
+
+    test('throws for invalid arguments', () => {
+      expect(() => transformKeysDeep({}, 'fn')).toThrow(TypeError);
+      expect(() => transformKeysDeep({}, key => key, { exclude: 'a' })).toThrow(TypeError);
+    });
+  });
+
+  describe('camelizeKeys / snakeizeKeys / kebabizeKeys / pascalizeKeys', () => {
+    const payload = {
+      user_id: 1,
+      address_line_1: 'Main St',
+      md5_hash: 'abc',
+      _id: 'x',
+      items: [{ created_at: 0, unit_price: 5 }],
+      metadata: { raw_key: true }
+    };
+
+    test('convert keys deeply', () => {
+      expect(camelizeKeys(payload, { exclude: ['metadata'] })).toEqual({
+        userId: 1,
+        addressLine_1: 'Main St',
+        md5Hash: 'abc',
+        _id: 'x',
+        items: [{ createdAt: 0, unitPrice: 5 }],
+        metadata: { raw_key: true }
+      });
+      expect(kebabizeKeys({ contentType: 'json', API_KEY: 1 })).toEqual({ 'content-type': 'json', 'api-key': 1 });
+      expect(pascalizeKeys({ user_id: 1, list: [{ first_name: 'Ada' }] })).toEqual({ UserId: 1, List: [{ FirstName: 'Ada' }] });
+    });
+
+    test('round-trip to the original keys', () => {
+      expect(snakeizeKeys(camelizeKeys(payload))).toEqual(payload);
+      expect(snakeizeKeys(pascalizeKeys(payload))).toEqual(payload);
+      expect(snakeizeKeys(kebabizeKeys(payload))).toEqual(payload);
+      const camel = { userId: 1, addressLine1: 2, userID: 3, html5Parser: 4 };
+      expect(camelizeKeys(snakeizeKeys(camel))).toEqual(camel);
+      expect(camelizeKeys(kebabizeKeys(camel))).toEqual(camel);
+      expect(camelizeKeys(pascalizeKeys(camel))).toEqual(camel);
+    });
+
+    test('round-trip keys with digits and acronyms', () => {
+      const snake = { address_line_1: 1, v2_api: 2, md5_hash: 3, api_key: 4, item_10_id: 5 };
+      expect(camelizeKeys(snake)).toEqual({ addressLine_1: 1, v2Api: 2, md5Hash: 3, apiKey: 4, item_10Id: 5 });
+      expect(snakeizeKeys(camelizeKeys(snake))).toEqual(snake);
+      expect(kebabizeKeys(pascalizeKeys(snake))).toEqual(kebabizeKeys(snake));
+      const camel = { userID: 1, htmlURL: 2, xmlHttpRequest: 3, line2Count: 4, addressLine_1: 5 };
+      expect(snakeizeKeys(camel)).toEqual({ user_i_d: 1, html_u_r_l: 2, xml_http_request: 3, line2_count: 4, address_line_1: 5 });
+      expect(camelizeKeys(snakeizeKeys(camel))).toEqual(camel);
+      expect(camelizeKeys(kebabizeKeys(camel))).toEqual(camel);
+    });
+  });
+
   describe('mapValues', () => {
     test('maps values', () => {
       expect(mapValues({ a: 1, b: 2 }, val => val * 2)).toEqual({ a: 2, b: 4 });
@@ -112,6 +205,36 @@ describe('Object Utilities', () => {
       const obj = { a: { b: 1 } };
       expect(getNestedValue(obj, 'a.c', 'default')).toBe('default');
     });
+
+    test('returns falsy values that exist', () => {
+      const obj = { a: { count: 0, name: '', on: false } };
+      expect(getNestedValue(obj, 'a.count', 10)).toBe(0);
+      expect(getNestedValue(obj, 'a.name', 'x')).toBe('');
+      expect(getNestedValue(obj, 'a.on', true)).toBe(false);
+      expect(getNestedValue(obj, 'a.count.b', 'default')).toBe('default');
+    });
+
+    test('returns the default for null intermediates', () => {
+      expect(getNestedValue({ a: null }, 'a.b', 'default')).toBe('default');
+      expect(getNestedValue({ a: { b: null } }, 'a.b', 'default')).toBe(null);
+      expect(getNestedValue(null, 'a', 'default')).toBe('default');
+    });
+
+    test('blocks prototype segments', () => {
+      expect(getNestedValue({}, 'constructor', 'default')).toBe('default');
+      expect(getNestedValue({ a: {} }, 'a.__proto__.toString', 'default')).toBe('default');
+      expect(getNestedValue({ fn: () => {} }, 'fn.prototype', 'default')).toBe('default');
+      expect(getNestedValue(JSON.parse('{"__proto__": {"x": 1}}'), '__proto__.x', 'default')).toBe('default');
+    });
+
+    test('reads inherited properties and getters', () => {
+      class User {
+        constructor() { this.first = 'Ada'; }
+        get name() { return this.first; }
+      }
+      expect(getNestedValue({ user: new User() }, 'user.name')).toBe('Ada');
+      expect(getNestedValue({ list: [1, 2] }, 'list.length')).toBe(2);
+    });
   });
 
   describe('setNestedValue', () => {
@@ -0,0 +1,67 @@
+import { createRandom, randomInt, randomFloat } from '../src/randomUtils.js';
+
+describe('Random Utilities', () => {
+  describe('createRandom', () => {
+    test('produces the same sequence for the same seed', () => {
+      const a = createRandom(42);
+      const b = createRandom(42);
+      const first = Array.from({ length: 5 }, a);
+      expect(first).toEqual(Array.from({ length: 5 }, b));
+      expect(first[0]).toBe(0.6606157226487994);
+    });
+
+    test('produces different sequences for different seeds', () => {
+      expect(createRandom(1)()).not.toBe(createRandom(2)());
+      expect(createRandom('alpha')()).toBe(createRandom('alpha')());
+      expect(createRandom('alpha')()).not.toBe(createRandom('beta')());
+    });
+
+    test('returns floats in [0, 1) spread evenly', () => {
+      const random = createRandom(7);
+      const buckets = new Array(10).fill(0);
+      for (let i = 0; i < 10000; i++) {
+        const value = random();
+        expect(value >= 0 && value < 1).toBe(true);
+        buckets[Math.floor(value * 10)]++;
+      }
+      buckets.forEach(count => expect(Math.abs(count - 1000)).toBeLessThan(150));
+    });
+
+    test('works without a seed and rejects invalid seeds', () => {
+      expect(typeof createRandom()()).toBe('number');
+      expect(() => createRandom(NaN)).toThrow(TypeError);
+      expect(() => createRandom({})).toThrow(TypeError);
+    });
+  });
+
+  describe('randomInt', () => {
+    test('returns integers within the inclusive range', () => {
+      const random = createRandom(3);
+      const seen = new Set();
+      for (let i = 0; i < 500; i++) seen.add(randomInt(1, 6, { random }));
+      expect([...seen].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(randomInt(5, 5)).toBe(5);
+      expect(randomInt(-3, 3, { random: () => 0 })).toBe(-3);
+      expect(randomInt(-3, 3, { random: () => 0.9999 })).toBe(3);
+    });
+
+    test('validates bounds', () => {
+      expect(() => randomInt(1.5, 3)).toThrow(TypeError);
+      expect(() => randomInt(5, 1)).toThrow(RangeError);
+    });
+  });
+
+  describe('randomFloat', () => {
+    test('returns floats within the range', () => {
+      expect(randomFloat(2, 4, { random: () => 0.5 })).toBe(3);
+      const value = randomFloat();
+      expect(value >= 0 && value < 1).toBe(true);
+      expect(randomFloat(1, 2, { random: createRandom(9) })).toBe(randomFloat(1, 2, { random: createRandom(9) }));
+    });
+
+    test('validates bounds', () => {
+      expect(() => randomFloat(0, Infinity)).toThrow(TypeError);
+      expect(() => randomFloat(2, 1)).toThrow(RangeError);
+    });
+  });
+});
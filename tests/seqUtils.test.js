@@ -0,0 +1,109 @@
+import { seq } from '../src/seqUtils.js';
+
+function* naturals(log = []) {
+  let n = 0;
+  while (true) {
+    log.push(n);
+    yield n++;
+  }
+}
+
+describe('Sequence Utilities', () => {
+  describe('seq', () => {
+    test('wraps arrays, Sets, Maps, strings and generators', () => {
+      expect(seq([1, 2, 3]).toArray()).toEqual([1, 2, 3]);
+      expect(seq(new Set(['a', 'b'])).toArray()).toEqual(['a', 'b']);
+      expect(seq(new Map([['k', 1]])).toArray()).toEqual([['k', 1]]);
+      expect(seq('hi').toArray()).toEqual(['h', 'i']);
+      expect(seq(naturals()).take(3).toArray()).toEqual([0, 1, 2]);
+      expect(() => seq(42)).toThrow(TypeError);
+      expect(() => seq(null)).toThrow(TypeError);
+    });
+
+    test('is lazy and stops reading once take is satisfied', () => {
+      const log = [];
+      const pipeline = seq(naturals(log)).filter(n => n % 2 === 0).map(n => n * 10);
+      expect(log).toEqual([]);
+      expect(pipeline.take(3).toArray()).toEqual([0, 20, 40]);
+      expect(log).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    test('can be iterated directly and reused over re-iterable sources', () => {
+      const doubled = seq([1, 2, 3]).map(n => n * 2);
+      expect([...doubled]).toEqual([2, 4, 6]);
+      expect(doubled.toArray()).toEqual([2, 4, 6]);
+    });
+  });
+
+  describe('steps', () => {
+    test('map, filter and flatMap pass the index', () => {
+      expect(seq(['a', 'b']).map((item, i) => item + i).toArray()).toEqual(['a0', 'b1']);
+      expect(seq([5, 6, 7]).filter((item, i) => i !== 1).toArray()).toEqual([5, 7]);
+      expect(seq([1, 2]).flatMap(n => [n, n * 10]).toArray()).toEqual([1, 10, 2, 20]);
+      expect(seq(['ab', 'cd']).flatMap(s => s).toArray()).toEqual(['ab', 'cd']);
+      expect(seq([new Set([1]), 2]).flatMap(x => x).toArray()).toEqual([1, 2]);
+    });
+
+    test('take, drop and takeWhile', () => {
+      expect(seq([1, 2, 3]).take(0).toArray()).toEqual([]);
+      expect(seq([1, 2, 3]).take(10).toArray()).toEqual([1, 2, 3]);
+      expect(seq([1, 2, 3, 4]).drop(2).toArray()).toEqual([3, 4]);
+      const log = [];
+      expect(seq(naturals(log)).takeWhile(n => n < 3).toArray()).toEqual([0, 1, 2]);
+      expect(log).toEqual([0, 1, 2, 3]);
+      expect(() => seq([]).take(-1)).toThrow(RangeError);
+      expect(() => seq([]).drop(1.5)).toThrow(RangeError);
+    });
+
+    test('chunk and unique', () => {
+      expect(seq(naturals()).chunk(2).take(2).toArray()).toEqual([[0, 1], [2, 3]]);
+      expect(seq([1, 2, 3]).chunk(2).toArray()).toEqual([[1, 2], [3]]);
+      expect(seq([1, 2, 1, 3, 2]).unique().toArray()).toEqual([1, 2, 3]);
+      expect(seq(['a', 'B', 'A']).unique(s => s.toLowerCase()).toArray()).toEqual(['a', 'B']);
+      expect(() => seq([]).chunk(0)).toThrow(TypeError);
+    });
+
+    test('zip stops at the shortest input and closes the others', () => {
+      let closed = false;
+      function* letters() {
+        try {
+          yield 'a';
+          yield 'b';
+          yield 'c';
+        } finally {
+          closed = true;
+        }
+      }
+      expect(seq(naturals()).zip(letters(), [true, false]).toArray()).toEqual([[0, 'a', true], [1, 'b', false]]);
+      expect(closed).toBe(true);
+      expect(() => seq([]).zip(5)).toThrow(TypeError);
+    });
+
+    test('reject non-function callbacks', () => {
+      expect(() => seq([]).map('x')).toThrow(TypeError);
+      expect(() => seq([]).filter()).toThrow(TypeError);
+    });
+  });
+
+  describe('terminal steps', () => {
+    test('reduce works with and without an initial value', () => {
+      expect(seq(new Set([1, 2, 3])).reduce((a, b) => a + b, 0)).toBe(6);
+      expect(seq([1, 2, 3]).reduce((a, b, i) => a + b * i)).toBe(1 + 2 + 6);
+      expect(seq([]).reduce((a, b) => a + b, 'init')).toBe('init');
+      expect(() => seq([]).reduce((a, b) => a + b)).toThrow(TypeError);
+    });
+
+    test('first reads a single item', () => {
+      const log = [];
+      expect(seq(naturals(log)).map(n => n + 1).first()).toBe(1);
+      expect(log).toEqual([0]);
+      expect(seq([]).first()).toBeUndefined();
+    });
+
+    test('groupBy delegates to the array groupBy', () => {
+      const words = seq(['apple', 'avocado', 'banana']);
+      expect(words.groupBy(word => word[0])).toEqual({ a: ['apple', 'avocado'], b: ['banana'] });
+      expect(words.groupBy('length', { as: 'map' }).get(6)).toEqual(['banana']);
+    });
+  });
+});
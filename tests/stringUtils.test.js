@@ -1,26 +1,59 @@
+import { createHmac } from 'crypto';
 import {
   capitalize,
+  words,
   toCamelCase,
   toKebabCase,
   toSnakeCase,
   toPascalCase,
+  toConstantCase,
+  toDotCase,
+  toTrainCase,
+  detectCase,
+  convertCase,
   toTitleCase,
+  toSentenceCase,
+  splitGraphemes,
+  graphemeLength,
   reverse,
   truncate,
+  normalizeText,
   isPalindrome,
   mask,
   slugify,
+  createSlugger,
   countWords,
+  textStats,
   removeDuplicates,
   removeWhitespace,
   extractEmails,
   extractUrls,
+  extractEntities,
+  linkify,
+  redact,
   stripHtml,
   escapeHtml,
+  unescapeHtml,
+  sanitizeHtml,
   isNumeric,
   isEmail,
   isUrl,
-  repeatString
+  repeatString,
+  template,
+  compileTemplate,
+  levenshtein,
+  damerauLevenshtein,
+  jaroWinkler,
+  similarity,
+  fuzzySearch,
+  stripAnsi,
+  displayWidth,
+  padStart,
+  padEnd,
+  center,
+  wrap,
+  indent,
+  dedent
 } from '../src/stringUtils.js';
 
 describe('String Utilities', () => {
@@ -39,10 +72,43 @@ describe('String Utilities', () => {
     });
   });
 
+  describe('words', () => {
+    test('splits on mixed separators and case humps', () => {
+      expect(words('foo-Bar_baz qux')).toEqual(['foo', 'Bar', 'baz', 'qux']);
+      expect(words('fooBarBaz')).toEqual(['foo', 'Bar', 'Baz']);
+    });
+
+    test('keeps acronym runs together', () => {
+      expect(words('XMLHttpRequest')).toEqual(['XML', 'Http', 'Request']);
+      expect(words('parseHTML')).toEqual(['parse', 'HTML']);
+    });
+
+    test('handles digit boundaries', () => {
+      expect(words('html5Parser')).toEqual(['html5', 'Parser']);
+      expect(words('XML2JSON')).toEqual(['XML2', 'JSON']);
+      expect(words('version 2')).toEqual(['version', '2']);
+    });
+
+    test('handles Unicode letters', () => {
+      expect(words('ÉcoleNormale')).toEqual(['École', 'Normale']);
+      expect(words('E\u0301coleNormale')).toEqual(['E\u0301cole', 'Normale']);
+    });
+
+    test('drops apostrophes inside words', () => {
+      expect(words("don't stop")).toEqual(['dont', 'stop']);
+    });
+
+    test('returns empty array for separators only', () => {
+      expect(words(' -_ ')).toEqual([]);
+    });
+  });
+
   describe('toCamelCase', () => {
     test('converts to camelCase', () => {
       expect(toCamelCase('hello world')).toBe('helloWorld');
       expect(toCamelCase('foo-bar')).toBe('fooBar');
+      expect(toCamelCase('foo-Bar_baz')).toBe('fooBarBaz');
+      expect(toCamelCase('XMLHttpRequest')).toBe('xmlHttpRequest');
     });
 
     test('throws error for non-string input', () => {
@@ -54,6 +120,8 @@ describe('String Utilities', () => {
     test('converts to kebab-case', () => {
       expect(toKebabCase('Hello World')).toBe('hello-world');
       expect(toKebabCase('fooBar')).toBe('foo-bar');
+      expect(toKebabCase('XMLHttpRequest')).toBe('xml-http-request');
+      expect(toKebabCase('ÉcoleNormale')).toBe('école-normale');
     });
   });
 
@@ -71,11 +139,111 @@ describe('String Utilities', () => {
     });
   });
 
+  describe('toConstantCase', () => {
+    test('converts to CONSTANT_CASE', () => {
+      expect(toConstantCase('maxRetryCount')).toBe('MAX_RETRY_COUNT');
+    });
+  });
+
+  describe('toDotCase', () => {
+    test('converts to dot.case', () => {
+      expect(toDotCase('Hello World')).toBe('hello.world');
+    });
+  });
+
+  describe('toTrainCase', () => {
+    test('converts to Train-Case', () => {
+      expect(toTrainCase('content_type')).toBe('Content-Type');
+    });
+  });
+
+  describe('detectCase', () => {
+    test('detects naming conventions', () => {
+      expect(detectCase('fooBar')).toBe('camel');
+      expect(detectCase('FooBar')).toBe('pascal');
+      expect(detectCase('FOO_BAR')).toBe('constant');
+      expect(detectCase('foo_bar')).toBe('snake');
+      expect(detectCase('foo-bar')).toBe('kebab');
+      expect(detectCase('Foo-Bar')).toBe('train');
+      expect(detectCase('foo.bar')).toBe('dot');
+    });
+
+    test('returns null for free text', () => {
+      expect(detectCase('foo bar')).toBeNull();
+    });
+  });
+
+  describe('convertCase', () => {
+    test('converts to the target case', () => {
+      expect(convertCase('user_id', 'camel')).toBe('userId');
+      expect(convertCase('XMLHttpRequest', 'constant')).toBe('XML_HTTP_REQUEST');
+    });
+
+    test('round-trips between cases', () => {
+      const cases = ['camel', 'pascal', 'snake', 'kebab', 'constant', 'dot', 'train'];
+      cases.forEach(from => {
+        cases.forEach(to => {
+          const source = convertCase('xmlHttpRequest', from);
+          expect(convertCase(convertCase(source, to), from)).toBe(source);
+        });
+      });
+    });
+
+    test('throws for unknown case', () => {
+      expect(() => convertCase('foo', 'upper')).toThrow(RangeError);
+    });
+  });
+
   describe('toTitleCase', () => {
     test('converts to title case', () => {
       expect(toTitleCase('hello world')).toBe('Hello World');
       expect(toTitleCase('HELLO WORLD')).toBe('Hello World');
     });
+
+    test('applies small-word rules per style', () => {
+      expect(toTitleCase('the lord of the rings')).toBe('The Lord of the Rings');
+      expect(toTitleCase('a walk through the park')).toBe('A Walk through the Park');
+      expect(toTitleCase('a walk through the park', { style: 'ap' })).toBe('A Walk Through the Park');
+      expect(toTitleCase('a walk through the park', { style: 'apa' })).toBe('A Walk Through the Park');
+      expect(toTitleCase('of mice and men', { style: 'simple' })).toBe('Of Mice And Men');
+      expect(() => toTitleCase('x', { style: 'mla' })).toThrow(RangeError);
+    });
+
+    test('capitalizes the first and last word and words after a colon', () => {
+      expect(toTitleCase('what is it about?')).toBe('What Is It About?');
+      expect(toTitleCase('star wars: a new hope')).toBe('Star Wars: A New Hope');
+      expect(toTitleCase('"the end" of the world')).toBe('"The End" of the World');
+    });
+
+    test('keeps acronyms, brand names and domains', () => {
+      expect(toTitleCase('NASA and iPhone owners')).toBe('NASA and iPhone Owners');
+      expect(toTitleCase('visit example.com today')).toBe('Visit example.com Today');
+      expect(toTitleCase('i love ebay and github', { preserve: ['eBay', 'GitHub'] })).toBe('I Love eBay and GitHub');
+    });
+
+    test('handles hyphenated compounds and locales', () => {
+      expect(toTitleCase('step-by-step guide to self-driving cars')).toBe('Step-by-Step Guide to Self-Driving Cars');
+      expect(toTitleCase('istanbul guide', { locale: 'tr' })).toBe('İstanbul Guide');
+      expect(toTitleCase('istanbul guide')).toBe('Istanbul Guide');
+    });
+
+    test('throws for non-strings', () => {
+      expect(() => toTitleCase(null)).toThrow(TypeError);
+    });
+  });
+
+  describe('toSentenceCase', () => {
+    test('capitalizes the first word of each sentence', () => {
+      expect(toSentenceCase('The Quick Brown Fox. jumps Over The Dog')).toBe('The quick brown fox. Jumps over the dog');
+      expect(toSentenceCase('WELCOME TO THE SHOW')).toBe('Welcome to the show');
+      expect(toSentenceCase('Yesterday I Went Out! it was fun.')).toBe('Yesterday I went out! It was fun.');
+    });
+
+    test('keeps acronyms, brand names and preserved words', () => {
+      expect(toSentenceCase('My iPhone Is Broken By NASA')).toBe('My iPhone is broken by NASA');
+      expect(toSentenceCase('Trip To Paris', { preserve: ['Paris'] })).toBe('Trip to Paris');
+      expect(() => toSentenceCase(1)).toThrow(TypeError);
+    });
   });
 
   describe('reverse', () => {
@@ -83,6 +251,50 @@ describe('String Utilities', () => {
       expect(reverse('hello')).toBe('olleh');
       expect(reverse('123')).toBe('321');
     });
+
+    test('keeps grapheme clusters intact', () => {
+      expect(reverse('ab🇫🇷')).toBe('🇫🇷ba');
+      expect(reverse('x👨‍👩‍👧y')).toBe('y👨‍👩‍👧x');
+      expect(reverse('e\u0301a')).toBe('ae\u0301');
+      expect(reverse('👍🏽!')).toBe('!👍🏽');
+    });
+
+    test('falls back without Intl.Segmenter', () => {
+      const { Segmenter } = Intl;
+      Intl.Segmenter = undefined;
+      try {
+        expect(reverse('ab🇫🇷')).toBe('🇫🇷ba');
+        expect(reverse('x👨‍👩‍👧y')).toBe('y👨‍👩‍👧x');
+        expect(reverse('e\u0301a')).toBe('ae\u0301');
+      } finally {
+        Intl.Segmenter = Segmenter;
+      }
+    });
+  });
+
+  describe('splitGraphemes', () => {
+    test('splits user-perceived characters', () => {
+      expect(splitGraphemes('👍🏽ok')).toEqual(['👍🏽', 'o', 'k']);
+      expect(splitGraphemes('e\u0301🇫🇷')).toEqual(['e\u0301', '🇫🇷']);
+      expect(splitGraphemes('')).toEqual([]);
+    });
+
+    test('throws error for non-string input', () => {
+      expect(() => splitGraphemes(null)).toThrow(TypeError);
+    });
+  });
+
+  describe('graphemeLength', () => {
+    test('counts user-perceived characters', () => {
+      expect(graphemeLength('hello')).toBe(5);
+      expect(graphemeLength('👍🏽 ok')).toBe(4);
+      expect(graphemeLength('🇫🇷🇩🇪')).toBe(2);
+      expect(graphemeLength('')).toBe(0);
+    });
+
+    test('throws error for non-string input', () => {
+      expect(() => graphemeLength(null)).toThrow(TypeError);
+    });
   });
 
   describe('truncate', () => {
@@ -98,6 +310,11 @@ describe('String Utilities', () => {
       test('does not truncate if length is sufficient', () => {
         expect(truncate('Hi', 5)).toBe('Hi');
       });
+
+      test('never splits a surrogate pair', () => {
+        expect(truncate('hi😀😀😀there', 5)).toBe('hi...');
+        expect(truncate('😀😀😀😀', 3, '…')).toBe('😀😀…');
+      });
     });
 
     describe('Truncation WITHOUT Suffix', () => {
@@ -109,6 +326,42 @@ describe('String Utilities', () => {
         expect(truncate('Hello World', 8, '!!!', false)).toBe('Hello Wo');
       });
     });
+
+    describe('Options object', () => {
+      test('cuts the suffix itself when it does not fit', () => {
+        expect(truncate('Hello World', 2)).toBe('..');
+        expect(truncate('Hello World', 2, { suffix: '***' })).toBe('**');
+      });
+
+      test('does not split words with boundary word', () => {
+        expect(truncate('The quick brown fox', 16, { boundary: 'word' })).toBe('The quick...');
+        expect(truncate('Supercalifragilistic', 10, { boundary: 'word' })).toBe('Superca...');
+      });
+
+      test('keeps both ends with position middle', () => {
+        const path = 'src/components/forms/index.js';
+        expect(truncate(path, 15, { position: 'middle', suffix: '…' })).toBe('src/com…ndex.js');
+        expect(truncate(path, 15, { position: 'middle', boundary: 'word', suffix: '…' })).toBe('src/…/index.js');
+      });
+
+      test('counts visible text and balances tags with html', () => {
+        expect(truncate('<p>Hello <b>World</b></p>', 10, { html: true })).toBe('<p>Hello <b>W...</b></p>');
+        expect(truncate('<p>Hello <b>World</b> and more</p>', 14, { html: true, boundary: 'word' }))
+          .toBe('<p>Hello <b>World</b>...</p>');
+        expect(truncate('<p title="a>b">Fish &amp; chips</p>', 9, { html: true })).toBe('<p title="a>b">Fish &amp;...</p>');
+        expect(truncate('<p>short</p>', 10, { html: true })).toBe('<p>short</p>');
+      });
+
+      test('measures UTF-8 bytes with countBy byte', () => {
+        expect(truncate('héllo wörld', 8, { countBy: 'byte' })).toBe('héll...');
+        expect(truncate('😀😀😀', 9, { countBy: 'byte', suffix: '' })).toBe('😀😀');
+      });
+
+      test('throws for invalid options', () => {
+        expect(() => truncate('Hello', 2, { position: 'start' })).toThrow(RangeError);
+        expect(() => truncate('Hello', 2, { html: true, position: 'middle' })).toThrow(RangeError);
+      });
+    });
   });
 
   describe('isPalindrome', () => {
@@ -117,6 +370,72 @@ describe('String Utilities', () => {
       expect(isPalindrome('hello')).toBe(false);
       expect(isPalindrome('A man a plan a canal Panama')).toBe(true);
     });
+
+    test('ignores symbols other than emoji', () => {
+      expect(isPalindrome('$ab€a')).toBe(true);
+      expect(isPalindrome('1 + 2 = 21')).toBe(true);
+      expect(isPalindrome('a^b`a')).toBe(true);
+      expect(isPalindrome('👍🏽a👍🏿')).toBe(false);
+    });
+
+    test('compares grapheme clusters', () => {
+      expect(isPalindrome('été')).toBe(true);
+      expect(isPalindrome('😀a😀')).toBe(true);
+      expect(isPalindrome('😀a😁')).toBe(false);
+    });
+
+    test('applies normalizeText options', () => {
+      expect(isPalindrome('Ésope reste ici et se repose')).toBe(false);
+      expect(isPalindrome('Ésope reste ici et se repose', { normalize: { removeDiacritics: true } })).toBe(true);
+    });
+  });
+
+  describe('normalizeText', () => {
+    test('applies Unicode normalization forms', () => {
+      expect(normalizeText('e\u0301')).toBe('\u00e9');
+      expect(normalizeText('\u00e9', { form: 'NFD' })).toBe('e\u0301');
+      expect(normalizeText('\ufb01 \u2460', { form: 'NFKC' })).toBe('fi 1');
+      expect(() => normalizeText('x', { form: 'NFX' })).toThrow(RangeError);
+    });
+
+    test('removes diacritics', () => {
+      expect(normalizeText('Crème Brûlée Łódź Ørsted', { removeDiacritics: true })).toBe('Creme Brulee Lodz Orsted');
+      expect(normalizeText('Đakovo Ħamrun', { removeDiacritics: true })).toBe('Dakovo Hamrun');
+      expect(normalizeText('नमस्ते', { removeDiacritics: true })).toBe('नमस्ते');
+    });
+
+    test('collapses Unicode whitespace', () => {
+      expect(normalizeText(' a\u00a0\u00a0b\u2003c\u3000d\n', { collapseWhitespace: true })).toBe('a b c d');
+    });
+
+    test('removes invisible characters but keeps emoji sequences', () => {
+      expect(normalizeText('a\u200bb\u00adc\u0007d\te\ufeff', { removeInvisible: true })).toBe('abcd\te');
+      const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+      expect(normalizeText(`${family} a\u200Db`, { removeInvisible: true })).toBe(`${family} ab`);
+    });
+
+    test('keeps tag characters in subdivision flags only', () => {
+      const england = '\u{1F3F4}\u{E0067}\u{E0062}\u{E0065}\u{E006E}\u{E0067}\u{E007F}';
+      expect(normalizeText(`${england} flag`, { removeInvisible: true })).toBe(`${england} flag`);
+      expect(normalizeText('a\u{E0067}\u{E007F}b', { removeInvisible: true })).toBe('ab');
+    });
+
+    test('folds punctuation and full-width characters', () => {
+      expect(normalizeText('\u201cQuote\u201d \u2014 it\u2019s\u2026', { foldPunctuation: true })).toBe('"Quote" - it\'s...');
+      expect(normalizeText('\uff21\uff22\uff23\u3000\uff11\uff12\uff01', { halfWidth: true })).toBe('ABC 12!');
+    });
+
+    test('folds case', () => {
+      expect(normalizeText('Straße ΣΊΣΥΦΟΣ', { caseFold: true })).toBe('strasse σίσυφοσ');
+      expect(normalizeText('İSTANBUL', { caseFold: true, locale: 'tr' })).toBe('istanbul');
+    });
+
+    test('composes steps', () => {
+      const options = { halfWidth: true, removeDiacritics: true, foldPunctuation: true, caseFold: true, collapseWhitespace: true };
+      expect(normalizeText('  \uff23\uff41\uff46\u00e9   \u201cD\u00e9j\u00e0 vu\u201d ', options)).toBe('cafe "deja vu"');
+      expect(normalizeText('unchanged  text')).toBe('unchanged  text');
+      expect(() => normalizeText(null)).toThrow(TypeError);
+    });
   });
 
   describe('mask', () => {
@@ -124,6 +443,10 @@ describe('String Utilities', () => {
       expect(mask('1234567890', 2)).toBe('12******90');
       expect(mask('secret', 1)).toBe('s****t');
     });
+
+    test('masks by grapheme cluster', () => {
+      expect(mask('😀bcde😀', 1)).toBe('😀****😀');
+    });
   });
 
   describe('slugify', () => {
@@ -131,6 +454,67 @@ describe('String Utilities', () => {
       expect(slugify('Hello World!')).toBe('hello-world');
       expect(slugify('Foo & Bar')).toBe('foo-bar');
     });
+
+    test('transliterates accented and non-Latin letters', () => {
+      expect(slugify('Crème Brûlée')).toBe('creme-brulee');
+      expect(slugify('Straße')).toBe('strasse');
+      expect(slugify('Привет, мир! Щука')).toBe('privet-mir-shchuka');
+      expect(slugify('Ελληνικά κείμενα')).toBe('ellinika-keimena');
+    });
+
+    test('applies locale rules', () => {
+      expect(slugify('Größe ändern')).toBe('grosse-andern');
+      expect(slugify('Größe ändern', { locale: 'de' })).toBe('groesse-aendern');
+      expect(slugify('İstanbul', { locale: 'tr' })).toBe('istanbul');
+    });
+
+    test('supports separator, case and replacement options', () => {
+      expect(slugify('Hello World', { separator: '_' })).toBe('hello_world');
+      expect(slugify('Crème Brûlée', { preserveCase: true })).toBe('Creme-Brulee');
+      expect(slugify('Foo & Bar', { replacements: { '&': 'and' } })).toBe('foo-and-bar');
+    });
+
+    test('cuts on a word boundary with maxLength', () => {
+      expect(slugify('The quick brown fox', { maxLength: 12 })).toBe('the-quick');
+      expect(slugify('Supercalifragilistic', { maxLength: 5 })).toBe('super');
+    });
+
+    test('applies normalizeText options', () => {
+      expect(slugify('\uff26\uff55\uff4c\uff4c\u200b\uff37\uff49\uff44\uff54\uff48', { normalize: { halfWidth: true, removeInvisible: true } }))
+        .toBe('fullwidth');
+    });
+  });
+
+  describe('createSlugger', () => {
+    test('adds numeric suffixes to repeated slugs', () => {
+      const slugger = createSlugger();
+      expect(slugger.slug('Usage')).toBe('usage');
+      expect(slugger.slug('Usage')).toBe('usage-2');
+      expect(slugger.slug('Usage!')).toBe('usage-3');
+    });
+
+    test('skips suffixes that were already issued', () => {
+      const slugger = createSlugger();
+      expect(slugger.slug('Usage 2')).toBe('usage-2');
+      expect(slugger.slug('Usage')).toBe('usage');
+      expect(slugger.slug('Usage')).toBe('usage-3');
+    });
+
+    test('falls back to a placeholder when the slug is empty', () => {
+      const slugger = createSlugger();
+      expect(slugger.slug('!!!')).toBe('untitled');
+      expect(slugger.slug('🎉')).toBe('untitled-2');
+      expect(createSlugger({ fallback: 'section' }).slug('')).toBe('section');
+      expect(() => createSlugger({ fallback: '' })).toThrow(TypeError);
+    });
+
+    test('forgets issued slugs on reset', () => {
+      const slugger = createSlugger({ separator: '_' });
+      expect(slugger.slug('Usage')).toBe('usage');
+      expect(slugger.slug('Usage')).toBe('usage_2');
+      slugger.reset();
+      expect(slugger.slug('Usage')).toBe('usage');
+    });
   });
 
   describe('countWords', () => {
@@ -139,6 +523,59 @@ describe('String Utilities', () => {
       expect(countWords('One')).toBe(1);
       expect(countWords('')).toBe(0);
     });
+
+    test('ignores punctuation and splits text without spaces', () => {
+      expect(countWords('Wait — what?')).toBe(2);
+      expect(countWords("Don't stop")).toBe(2);
+      expect(countWords('私は学生です', { locale: 'ja' })).toBeGreaterThan(1);
+    });
+
+    test('falls back without Intl.Segmenter', () => {
+      const { Segmenter } = Intl;
+      Intl.Segmenter = undefined;
+      try {
+        expect(countWords('Wait — what? It’s 3.14')).toBe(4);
+      } finally {
+        Intl.Segmenter = Segmenter;
+      }
+    });
+  });
+
+  describe('textStats', () => {
+    test('counts words, sentences, paragraphs and graphemes', () => {
+      const stats = textStats('First paragraph here. It has two sentences!\n\nSecond one? Yes.\n  \nThird.');
+      expect(stats).toMatchObject({ words: 11, sentences: 5, paragraphs: 3, graphemes: 71, averageSentenceLength: 2.2 });
+    });
+
+    test('calculates reading time and Flesch reading ease', () => {
+      expect(textStats('The cat sat. The dog ran.')).toEqual({
+        words: 6,
+        sentences: 2,
+        paragraphs: 1,
+        graphemes: 25,
+        readingTime: 1,
+        averageSentenceLength: 3,
+        fleschReadingEase: 119.19
+      });
+      const hard = textStats('The Australian platypus is seemingly a hybrid of a mammal and reptilian creature.');
+      expect(hard.fleschReadingEase).toBeCloseTo(37.46, 1);
+      expect(textStats('word '.repeat(450), { wordsPerMinute: 150 }).readingTime).toBe(3);
+    });
+
+    test('handles other languages and empty text', () => {
+      const stats = textStats('今日は晴れです。明日は雨です。', { locale: 'ja' });
+      expect(stats.sentences).toBe(2);
+      expect(stats.words).toBeGreaterThan(2);
+      expect(stats.fleschReadingEase).toBeNull();
+      expect(textStats('')).toEqual({
+        words: 0, sentences: 0, paragraphs: 0, graphemes: 0, readingTime: 0, averageSentenceLength: 0, fleschReadingEase: null
+      });
+    });
+
+    test('throws for invalid input', () => {
+      expect(() => textStats(42)).toThrow(TypeError);
+      expect(() => textStats('x', { wordsPerMinute: 0 })).toThrow(RangeError);
+    });
   });
 
   describe('removeDuplicates', () => {
@@ -146,6 +583,10 @@ describe('String Utilities', () => {
       expect(removeDuplicates('hello')).toBe('helo');
       expect(removeDuplicates('aaa')).toBe('a');
     });
+
+    test('treats grapheme clusters as single characters', () => {
+      expect(removeDuplicates('👍🏽👍🏿👍🏽')).toBe('👍🏽👍🏿');
+    });
   });
 
   describe('removeWhitespace', () => {
@@ -171,6 +612,125 @@ describe('String Utilities', () => {
       const text = 'Visit https://example.com or http://test.org';
       expect(extractUrls(text)).toEqual(['https://example.com', 'http://test.org']);
     });
+
+    test('leaves out trailing punctuation and includes www domains', () => {
+      expect(extractUrls('See (https://x.com). Also www.example.com, thanks')).toEqual(['https://x.com', 'www.example.com']);
+      expect(extractUrls('Docs: https://en.wikipedia.org/wiki/Foo_(bar).')).toEqual(['https://en.wikipedia.org/wiki/Foo_(bar)']);
+    });
+  });
+
+  describe('extractEntities', () => {
+    test('returns typed entities with offsets', () => {
+      expect(extractEntities('Ping @jane about https://x.com/a_(b).')).toEqual([
+        { type: 'mention', value: '@jane', start: 5, end: 10 },
+        { type: 'url', value: 'https://x.com/a_(b)', start: 17, end: 36 }
+      ]);
+    });
+
+    test('finds emails, hashtags, phones and IPs', () => {
+      const text = 'Mail bob+x@mail.example.co.uk. #launch_day Call +1 415 555 2671 or (415) 555-2671 from 10.0.0.1 or ::1';
+      expect(extractEntities(text).map(({ type, value }) => [type, value])).toEqual([
+        ['email', 'bob+x@mail.example.co.uk'],
+        ['hashtag', '#launch_day'],
+        ['phone', '+1 415 555 2671'],
+        ['phone', '(415) 555-2671'],
+        ['ip', '10.0.0.1'],
+        ['ip', '::1']
+      ]);
+    });
+
+    test('does not report parts of longer entities', () => {
+      const values = extractEntities('jane@example.com and https://x.com/@me#top').map(entity => entity.value);
+      expect(values).toEqual(['jane@example.com', 'https://x.com/@me#top']);
+      expect(extractEntities('On 2024-01-15 at 12:30:00, issue #1')).toEqual([]);
+    });
+
+    test('finds emoji sequences', () => {
+      const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+      const values = extractEntities(`Nice 👍🏽 ${family} 🇫🇷 © 1️⃣`, { types: ['emoji'] }).map(entity => entity.value);
+      expect(values).toEqual(['👍🏽', family, '🇫🇷', '1️⃣']);
+    });
+
+    test('filters by type and rejects unknown types', () => {
+      expect(extractEntities('@jane #tag', { types: ['hashtag'] })).toEqual([{ type: 'hashtag', value: '#tag', start: 6, end: 10 }]);
+      expect(() => extractEntities('x', { types: ['date'] })).toThrow(RangeError);
+      expect(() => extractEntities(null)).toThrow(TypeError);
+    });
+  });
+
+  describe('linkify', () => {
+    test('links URLs and emails', () => {
+      expect(linkify('Mail a@b.co or see www.x.com!'))
+        .toBe('Mail <a href="mailto:a@b.co">a@b.co</a> or see <a href="http://www.x.com">www.x.com</a>!');
+    });
+
+    test('escapes text and attributes', () => {
+      expect(linkify('<b>https://x.com/?a=1&b=2</b>'))
+        .toBe('&lt;b&gt;<a href="https://x.com/?a=1&amp;b=2">https://x.com/?a=1&amp;b=2</a>&lt;/b&gt;');
+    });
+
+    test('uses a custom render and skips unsafe hrefs', () => {
+      const render = entity => ({ href: `/u/${entity.value.slice(1)}`, class: 'mention' });
+      expect(linkify('Hi @jane', { types: ['mention'], render })).toBe('Hi <a href="/u/jane" class="mention">@jane</a>');
+      expect(linkify('Hi @jane', { types: ['mention'], render: () => ({ href: 'javascript:alert(1)' }) })).toBe('Hi @jane');
+      expect(linkify('https://x.com', { render: () => null })).toBe('https://x.com');
+    });
+  });
+
+  describe('redact', () => {
+    const text = 'Mail jane@example.com, card 4242 4242 4242 4242, call +1 415 555 2671 from 192.168.0.1';
+
+    test('masks matches while keeping their format', () => {
+      expect(redact(text).text)
+        .toBe('Mail j***@e******.com, card **** **** **** 4242, call +* *** *** **71 from 192.***.*.*');
+      expect(redact('IBAN GB82 WEST 1234 5698 7654 32.').text).toBe('IBAN GB** **** **** **** **54 32.');
+      expect(redact('iban gb82 west 1234 5698 7654 32').text).toBe('iban gb** **** **** **** **54 32');
+      expect(redact('IBAN Gb82West12345698765432').text).toBe('IBAN Gb****************5432');
+      expect(redact('key sk_live_abcdEFGH12345678').text).toBe('key sk_l****************5678');
+    });
+
+    test('always masks at least one character', () => {
+      expect(redact('mail a@b.co').text).toBe('mail *@*.co');
+      expect(redact('mail a@example.com').text).toBe('mail *@e******.com');
+      const code = { type: 'code', pattern: /#{3}/ };
+      expect(redact('code ###', { detectors: [code] }).text).toBe('code ***');
+    });
+
+    test('only redacts card numbers that pass the Luhn check', () => {
+      expect(redact('order 4242 4242 4242 4241').text).toBe('order 4242 4242 4242 4241');
+    });
+
+    test('reports what was redacted', () => {
+      expect(redact('a jane@example.com b', { strategy: 'placeholder' })).toEqual({
+        text: 'a [EMAIL] b',
+        redactions: [{ type: 'email', start: 2, end: 18, replacement: '[EMAIL]' }]
+      });
+    });
+
+    test('supports hash and function strategies', () => {
+      const keyed = key => value => createHmac('sha256', key).update(value).digest('hex').slice(0, 16);
+      const first = redact('jane@example.com', { strategy: 'hash', hash: keyed('pepper') }).text;
+      expect(first).toMatch(/^\[EMAIL:[\da-f]{16}\]$/);
+      expect(redact('jane@example.com', { strategy: 'hash', hash: keyed('pepper') }).text).toBe(first);
+      expect(redact('jane@example.com', { strategy: 'hash', hash: keyed('paprika') }).text).not.toBe(first);
+      expect(() => redact('jane@example.com', { strategy: 'hash' })).toThrow(TypeError);
+      expect(() => redact('jane@example.com', { strategy: 'hash', hash: 'pepper' })).toThrow(TypeError);
+      expect(redact('from 10.0.0.1', { strategy: ({ type }) => `<${type}>` }).text).toBe('from <ip>');
+    });
+
+    test('supports selected and custom detectors', () => {
+      expect(redact(text, { detectors: ['ip'], strategy: 'placeholder' }).text)
+        .toBe('Mail jane@example.com, card 4242 4242 4242 4242, call +1 415 555 2671 from [IP]');
+      const ticket = { type: 'ticket', pattern: /[A-Z]+-\d+/, validate: value => value !== 'ABC-0' };
+      expect(redact('see ABC-123 and ABC-0', { detectors: [ticket], strategy: 'placeholder' }).text)
+        .toBe('see [TICKET] and ABC-0');
+    });
+
+    test('throws for unknown detectors and strategies', () => {
+      expect(() => redact('x', { detectors: ['ssn'] })).toThrow(RangeError);
+      expect(() => redact('x', { strategy: 'shred' })).toThrow(RangeError);
+      expect(() => redact('x', { detectors: [{ type: 'x' }] })).toThrow(TypeError);
+    });
   });
 
   describe('stripHtml', () => {
@@ -178,6 +738,19 @@ describe('String Utilities', () => {
       expect(stripHtml('<p>Hello <b>World</b></p>')).toBe('Hello World');
       expect(stripHtml('No tags here')).toBe('No tags here');
     });
+
+    test('drops script and style content', () => {
+      expect(stripHtml('Hi<script>alert("<b>")</script><style>b{}</style>!')).toBe('Hi!');
+    });
+
+    test('handles > inside attributes', () => {
+      expect(stripHtml('<a title="a > b">link</a>')).toBe('link');
+    });
+
+    test('decodes entities and turns block tags into newlines', () => {
+      expect(stripHtml('<p>One</p><p>Fish &amp; chips</p>')).toBe('One\nFish & chips');
+      expect(stripHtml('<ul>\n  <li>A</li>\n  <li>B</li>\n</ul>line<br>break')).toBe('A\nB\nline\nbreak');
+    });
   });
 
   describe('escapeHtml', () => {
@@ -187,6 +760,50 @@ describe('String Utilities', () => {
     });
   });
 
+  describe('unescapeHtml', () => {
+    test('decodes named and numeric entities', () => {
+      expect(unescapeHtml('&lt;p&gt;Fish &amp; chips&lt;/p&gt;')).toBe('<p>Fish & chips</p>');
+      expect(unescapeHtml('&eacute;&#233;&#xE9;&nbsp;&hellip;')).toBe('ééé\u00a0…');
+      expect(unescapeHtml('&#x1F600;')).toBe('😀');
+    });
+
+    test('leaves unknown entities and replaces invalid code points', () => {
+      expect(unescapeHtml('&bogus; &#0;')).toBe('&bogus; \uFFFD');
+    });
+
+    test('is the inverse of escapeHtml', () => {
+      const text = `<a href="x">Tom & Jerry's</a>`;
+      expect(unescapeHtml(escapeHtml(text))).toBe(text);
+    });
+  });
+
+  describe('sanitizeHtml', () => {
+    test('removes scripts, event handlers and unsafe URLs', () => {
+      expect(sanitizeHtml('<p onclick="x()">Hi <script>alert(1)</script><a href="javascript:x()">link</a></p>'))
+        .toBe('<p>Hi <a>link</a></p>');
+      expect(sanitizeHtml('<a href="java&#09;script:alert(1)">x</a>')).toBe('<a>x</a>');
+    });
+
+    test('keeps allowed attributes and escapes their values', () => {
+      expect(sanitizeHtml(`<a href="https://x.com" target="_blank" title='say "hi"'>ok</a>`))
+        .toBe('<a href="https://x.com" title="say &quot;hi&quot;">ok</a>');
+      expect(sanitizeHtml('<a href="/docs">docs</a>')).toBe('<a href="/docs">docs</a>');
+    });
+
+    test('unwraps disallowed tags and balances the output', () => {
+      expect(sanitizeHtml('<b><i>unclosed</b> <div>text</div> 1 < 2<br/>'))
+        .toBe('<b><i>unclosed</i></b> text 1 &lt; 2<br>');
+    });
+
+    test('supports custom allowlists', () => {
+      const options = { allowedTags: ['img'], allowedAttributes: { img: ['src', 'alt'] } };
+      expect(sanitizeHtml('<img src="data:x" alt="a"><img src="https://a/b.png" onerror="x()">', options))
+        .toBe('<img alt="a"><img src="https://a/b.png">');
+      expect(sanitizeHtml('<img src="data:x">', { ...options, allowedSchemes: ['data'] }))
+        .toBe('<img src="data:x">');
+    });
+  });
+
   describe('isNumeric', () => {
     test('checks if string is numeric', () => {
       expect(isNumeric('12345')).toBe(true);
@@ -217,4 +834,255 @@ describe('String Utilities', () => {
       expect(repeatString('x', 0)).toBe('');
     });
   });
-});
\ No newline at end of file
+
+  describe('template', () => {
+    const data = { user: { name: 'ada lovelace', card: '4242424242424242' }, count: 0, title: '' };
+
+    test('interpolates dot-paths', () => {
+      expect(template('Hi {{ user.name }}, {{count}} new', data)).toBe('Hi ada lovelace, 0 new');
+    });
+
+    test('applies filters with arguments', () => {
+      expect(template('{{ user.name | capitalize }}', data)).toBe('Ada lovelace');
+      expect(template('{{ user.name | truncate:8 | upper }}', data)).toBe('ADA L...');
+      expect(template('{{ user.name | slugify }} {{ user.card | mask:2 }}', data))
+        .toBe('ada-lovelace 42************42');
+    });
+
+    test('uses default values for missing or empty variables', () => {
+      expect(template('{{ title | default:"Untitled" }}', data)).toBe('Untitled');
+      expect(template("{{ missing | default:'none' }}", data)).toBe('none');
+      expect(template('{{ missing | default:user.name }}', data)).toBe('ada lovelace');
+    });
+
+    test('escapes HTML unless raw output is requested', () => {
+      const html = { html: '<b>"x"</b>' };
+      expect(template('{{ html }}', html)).toBe('&lt;b&gt;&quot;x&quot;&lt;/b&gt;');
+      expect(template('{{{ html }}}', html)).toBe('<b>"x"</b>');
+      expect(template('{{ html }}', html, { escape: false })).toBe('<b>"x"</b>');
+    });
+
+    test('renders missing variables as empty strings', () => {
+      expect(template('[{{ missing }}]', data)).toBe('[]');
+    });
+
+    test('throws for missing variables in strict mode', () => {
+      expect(() => template('{{ missing }}', data, { strict: true })).toThrow(ReferenceError);
+      expect(template('{{ missing | default:"x" }}', data, { strict: true })).toBe('x');
+    });
+
+    test('supports custom filters', () => {
+      const filters = { repeat: (value, times) => String(value).repeat(times) };
+      expect(template('{{ word | repeat:3 }}', { word: 'ab' }, { filters })).toBe('ababab');
+    });
+
+    test('throws for malformed templates', () => {
+      expect(() => template('{{ name | nope }}', data)).toThrow(RangeError);
+      expect(() => template('{{ name ', data)).toThrow(SyntaxError);
+      expect(() => template('{{ name | }}', data)).toThrow(SyntaxError);
+    });
+
+    test('does not read prototype paths', () => {
+      expect(template('[{{ constructor }}]', {})).toBe('[]');
+      expect(template('[{{ user.__proto__ }}][{{ user.constructor.prototype }}]', { user: {} })).toBe('[][]');
+      const own = JSON.parse('{"__proto__": "own", "constructor": "ctor"}');
+      expect(template('[{{ __proto__ }}][{{ constructor }}]', own)).toBe('[][]');
+    });
+
+    test('reads inherited properties and getters', () => {
+      class User {
+        constructor() { this.first = 'Ada'; this.last = 'Lovelace'; }
+        get full() { return `${this.first} ${this.last}`; }
+      }
+      expect(template('{{ u.full }}', { u: new User() })).toBe('Ada Lovelace');
+      expect(template('{{ items.length }} {{ name.length }}', { items: [1, 2], name: 'ada' })).toBe('2 3');
+      expect(template('{{ count }}', { count: 0 })).toBe('0');
+    });
+  });
+
+  describe('compileTemplate', () => {
+    test('throws in strict mode for prototype paths', () => {
+      const render = compileTemplate('{{ __proto__ }}', { strict: true });
+      expect(() => render({})).toThrow(ReferenceError);
+      expect(() => compileTemplate('{{ constructor.name }}', { strict: true })({})).toThrow(ReferenceError);
+    });
+
+    test('returns a reusable render function', () => {
+      const greet = compileTemplate('Hello {{ name | capitalize }}!');
+      expect(greet({ name: 'ada' })).toBe('Hello Ada!');
+      expect(greet({ name: 'grace' })).toBe('Hello Grace!');
+    });
+  });
+
+  describe('levenshtein', () => {
+    test('calculates edit distance', () => {
+      expect(levenshtein('kitten', 'sitting')).toBe(3);
+      expect(levenshtein('', 'abc')).toBe(3);
+      expect(levenshtein('same', 'same')).toBe(0);
+    });
+
+    test('throws error for non-string input', () => {
+      expect(() => levenshtein('a', null)).toThrow(TypeError);
+    });
+  });
+
+  describe('damerauLevenshtein', () => {
+    test('counts transpositions as one edit', () => {
+      expect(damerauLevenshtein('jhon', 'john')).toBe(1);
+      expect(damerauLevenshtein('ca', 'abc')).toBe(2);
+      expect(damerauLevenshtein('kitten', 'sitting')).toBe(3);
+    });
+  });
+
+  describe('jaroWinkler', () => {
+    test('calculates Jaro-Winkler similarity', () => {
+      expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.9611, 4);
+      expect(jaroWinkler('dixon', 'dicksonx')).toBeCloseTo(0.8133, 4);
+      expect(jaroWinkler('abc', 'xyz')).toBe(0);
+      expect(jaroWinkler('', '')).toBe(1);
+    });
+  });
+
+  describe('similarity', () => {
+    test('returns a normalized score', () => {
+      expect(similarity('john', 'jhon')).toBe(0.75);
+      expect(similarity('abc', 'abc')).toBe(1);
+      expect(similarity('abc', 'xyz')).toBe(0);
+    });
+  });
+
+  describe('fuzzySearch', () => {
+    const people = [
+      { name: 'John Smith', address: { city: 'Boston' } },
+      { name: 'Jane Doe', address: { city: 'Johannesburg' } },
+      { name: 'Jonathan Smithers', address: { city: 'Austin' } }
+    ];
+
+    test('finds typo matches with scores and ranges', () => {
+      expect(fuzzySearch(people, 'jhon', { keys: ['name'] })).toEqual([
+        { item: people[0], score: expect.any(Number), key: 'name', matches: [[0, 4]] }
+      ]);
+    });
+
+    test('ranks whole-word matches above partial ones', () => {
+      const results = fuzzySearch(people, 'smith', { keys: ['name'] });
+      expect(results.map(result => result.item)).toEqual([people[0], people[2]]);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+      expect(results[1].matches).toEqual([[9, 14]]);
+    });
+
+    test('searches dot-path keys', () => {
+      const [result] = fuzzySearch(people, 'austin', { keys: ['name', 'address.city'] });
+      expect(result.item).toBe(people[2]);
+      expect(result.key).toBe('address.city');
+    });
+
+    test('searches plain strings and applies limit and threshold', () => {
+      const fruits = ['apple', 'application', 'banana'];
+      expect(fuzzySearch(fruits, 'appl', { limit: 1 })).toEqual([
+        { item: 'apple', score: 0.9, key: null, matches: [[0, 4]] }
+      ]);
+      expect(fuzzySearch(fruits, 'apln', { threshold: 0.9 })).toEqual([]);
+    });
+
+    test('skips fields that cannot reach the threshold without changing scores', () => {
+      const names = ['Jon Snow', 'Joan Jett', 'Ned Stark', 'jhn', 'Bran', 'Johnny', 'Hodor', 'Jo'];
+      ['jhon', 'stark', 'jon s', 'xyz'].forEach(query => {
+        const all = fuzzySearch(names, query, { threshold: 0 });
+        [0.3, 0.5, 0.7].forEach(threshold => {
+          expect(fuzzySearch(names, query, { threshold })).toEqual(all.filter(result => result.score >= threshold));
+        });
+      });
+    });
+
+    test('returns empty array for empty query', () => {
+      expect(fuzzySearch(people, ' ', { keys: ['name'] })).toEqual([]);
+    });
+  });
+
+  describe('stripAnsi', () => {
+    test('removes color codes and hyperlinks', () => {
+      expect(stripAnsi('\u001b[31mred\u001b[39m')).toBe('red');
+      expect(stripAnsi('\u001b]8;;https://x.com\u0007link\u001b]8;;\u0007')).toBe('link');
+    });
+  });
+
+  describe('displayWidth', () => {
+    test('measures terminal columns', () => {
+      expect(displayWidth('abc')).toBe(3);
+      expect(displayWidth('\u001b[1mbold\u001b[22m')).toBe(4);
+      expect(displayWidth('日本')).toBe(4);
+      expect(displayWidth('ｈｉ')).toBe(4);
+      expect(displayWidth('👍🏽a')).toBe(3);
+      expect(displayWidth('e\u0301\u200b')).toBe(1);
+    });
+  });
+
+  describe('padStart', () => {
+    test('pads by display width', () => {
+      expect(padStart('日本', 6)).toBe('  日本');
+      expect(padStart('7', 3, '0')).toBe('007');
+      expect(padStart('long', 2)).toBe('long');
+    });
+  });
+
+  describe('padEnd', () => {
+    test('ignores ANSI codes when padding', () => {
+      expect(padEnd('\u001b[32mok\u001b[39m', 4)).toBe('\u001b[32mok\u001b[39m  ');
+    });
+
+    test('tops up with spaces when a wide pad character does not fit', () => {
+      expect(padEnd('x', 4, '日')).toBe('x日 ');
+    });
+  });
+
+  describe('center', () => {
+    test('centers by display width', () => {
+      expect(center('abc', 8, '*')).toBe('**abc***');
+      expect(center('日本', 8)).toBe('  日本  ');
+    });
+  });
+
+  describe('wrap', () => {
+    test('wraps between words', () => {
+      expect(wrap('The quick brown fox jumps over the lazy dog', { width: 15 }))
+        .toBe('The quick brown\nfox jumps over\nthe lazy dog');
+    });
+
+    test('keeps long words unless hard is set', () => {
+      expect(wrap('aaaaaaaaaaaa bb', { width: 8 })).toBe('aaaaaaaaaaaa\nbb');
+      expect(wrap('aaaaaaaaaaaa bb', { width: 8, hard: true })).toBe('aaaaaaaa\naaaa bb');
+    });
+
+    test('measures wide characters', () => {
+      expect(wrap('日本語のテキストです', { width: 10, hard: true })).toBe('日本語のテ\nキストです');
+    });
+
+    test('keeps line breaks and indents lines', () => {
+      expect(wrap('one two three\n\nfour', { width: 9, indent: '> ' }))
+        .toBe('> one two\n> three\n\n> four');
+    });
+  });
+
+  describe('indent', () => {
+    test('indents non-empty lines', () => {
+      expect(indent('a\n\nb')).toBe('  a\n\n  b');
+      expect(indent('a\nb', '\t')).toBe('\ta\n\tb');
+      expect(indent('a\n\nb', '> ', { includeEmptyLines: true })).toBe('> a\n> \n> b');
+    });
+  });
+
+  describe('dedent', () => {
+    test('removes common indentation', () => {
+      expect(dedent('    a\n      b\n\n    c')).toBe('a\n  b\n\nc');
+    });
+
+    test('works as a template literal tag', () => {
+      const file = '<file>';
+      expect(dedent`
+        Usage:
+          run ${file}
+      `).toBe('Usage:\n  run <file>');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import {
+  validateEmail,
+  validateUrl,
+  validateIp,
+  validateUuid,
+  validateUlid,
+  validatePhone,
+  luhnCheck,
+  validateCreditCard,
+  validateIban,
+  validateIsoDate,
+  validateHexColor,
+  validateNumeric,
+  isIp,
+  isUuid,
+  isUlid,
+  isPhone,
+  isCreditCard,
+  isIban,
+  isIsoDate,
+  isHexColor
+} from '../src/validationUtils.js';
+import { isEmail, isUrl, isNumeric } from '../src/stringUtils.js';
+
+describe('Validation Utilities', () => {
+  describe('validateEmail', () => {
+    test('accepts plus tags and quoted local parts', () => {
+      expect(validateEmail('jane+news@example.com')).toEqual({ valid: true, reason: null });
+      expect(validateEmail('"john doe"@example.com').valid).toBe(true);
+      expect(validateEmail('user@[192.168.0.1]').valid).toBe(true);
+    });
+
+    test('rejects malformed addresses with a reason', () => {
+      expect(validateEmail('a@b..c')).toEqual({ valid: false, reason: 'Domain contains an empty label' });
+      expect(validateEmail('invalid.email').reason).toBe('Email must contain "@"');
+      expect(validateEmail('.jane@example.com').valid).toBe(false);
+      expect(validateEmail('jane@-example.com').valid).toBe(false);
+      expect(validateEmail('jane@localhost').reason).toBe('Domain has no top-level domain');
+      expect(validateEmail('jane@localhost', { requireTld: false }).valid).toBe(true);
+      expect(validateEmail(null).reason).toBe('Value must be a string');
+    });
+  });
+
+  describe('validateUrl', () => {
+    test('accepts http(s) URLs with a domain or IP', () => {
+      expect(validateUrl('https://example.com/path?q=1').valid).toBe(true);
+      expect(validateUrl('http://127.0.0.1:8080').valid).toBe(true);
+      expect(validateUrl('http://[::1]/').valid).toBe(true);
+    });
+
+    test('applies the protocol allowlist', () => {
+      expect(validateUrl('javascript:alert(1)')).toEqual({ valid: false, reason: 'Protocol "javascript" is not allowed' });
+      expect(validateUrl('ftp://example.com').valid).toBe(false);
+      expect(validateUrl('ftp://example.com', { protocols: ['ftp'] }).valid).toBe(true);
+      expect(validateUrl('mailto:jane@example.com', { protocols: ['mailto'] }).valid).toBe(true);
+      expect(validateUrl('ftp://example.com', { protocols: '*' }).valid).toBe(true);
+      expect(validateUrl('javascript:alert(1)', { protocols: '*' }).valid).toBe(false);
+    });
+
+    test('requires a TLD unless disabled', () => {
+      expect(validateUrl('http://localhost:3000').reason).toBe('Domain has no top-level domain');
+      expect(validateUrl('http://localhost:3000', { requireTld: false }).valid).toBe(true);
+      expect(validateUrl('not a url').valid).toBe(false);
+    });
+  });
+
+  describe('validateIp', () => {
+    test('validates IPv4', () => {
+      expect(validateIp('192.168.0.1').valid).toBe(true);
+      expect(validateIp('256.1.1.1').reason).toBe('IPv4 part "256" is greater than 255');
+      expect(validateIp('01.1.1.1').valid).toBe(false);
+      expect(validateIp('1.1.1').valid).toBe(false);
+    });
+
+    test('validates IPv6', () => {
+      expect(validateIp('2001:db8::1').valid).toBe(true);
+      expect(validateIp('::').valid).toBe(true);
+      expect(validateIp('::ffff:192.0.2.1').valid).toBe(true);
+      expect(validateIp('2001:0db8:85a3:0000:0000:8a2e:0370:7334').valid).toBe(true);
+      expect(validateIp('1::2::3').valid).toBe(false);
+      expect(validateIp('1:2:3:4:5:6:7').valid).toBe(false);
+      expect(validateIp('12345::').valid).toBe(false);
+    });
+
+    test('handles versions and CIDR', () => {
+      expect(validateIp('::1', { version: 4 }).reason).toBe('Address is not IPv4');
+      expect(validateIp('10.0.0.0/8', { cidr: true }).valid).toBe(true);
+      expect(validateIp('2001:db8::/129', { cidr: true }).valid).toBe(false);
+      expect(validateIp('10.0.0.0', { cidr: true }).reason).toBe('CIDR prefix length is missing');
+      expect(validateIp('10.0.0.0/8').valid).toBe(false);
+      expect(() => validateIp('10.0.0.1', { version: 5 })).toThrow(RangeError);
+    });
+  });
+
+  describe('validateUuid', () => {
+    test('validates format, version and variant', () => {
+      expect(validateUuid('9b2c1a4e-6f3d-4c2b-9a1e-3f5d7c9b1a2e').valid).toBe(true);
+      expect(validateUuid('9b2c1a4e-6f3d-4c2b-9a1e-3f5d7c9b1a2e', { version: 4 }).valid).toBe(true);
+      expect(validateUuid('9b2c1a4e-6f3d-4c2b-9a1e-3f5d7c9b1a2e', { version: [1, 7] }).reason)
+        .toBe('UUID version 4 is not allowed');
+      expect(validateUuid('9b2c1a4e-6f3d-4c2b-7a1e-3f5d7c9b1a2e').reason).toBe('UUID variant is not RFC 4122');
+      expect(validateUuid('9b2c1a4e6f3d4c2b9a1e3f5d7c9b1a2e').valid).toBe(false);
+    });
+
+    test('accepts nil and max UUIDs without a version', () => {
+      expect(validateUuid('00000000-0000-0000-0000-000000000000').valid).toBe(true);
+      expect(validateUuid('FFFFFFFF-FFFF-FFFF-FFFF-FFFFFFFFFFFF').valid).toBe(true);
+      expect(validateUuid('00000000-0000-0000-0000-000000000000', { version: 4 }).valid).toBe(false);
+    });
+  });
+
+  describe('validateUlid', () => {
+    test('validates length, alphabet and timestamp range', () => {
+      expect(validateUlid('01ARZ3NDEKTSV4RRFFQ69G5FAV').valid).toBe(true);
+      expect(validateUlid('01arz3ndektsv4rrffq69g5fav').valid).toBe(true);
+      expect(validateUlid('01ARZ3NDEKTSV4RRFFQ69G5FA').reason).toBe('ULID must be 26 characters long');
+      expect(validateUlid('01ARZ3NDEKTSV4RRFFQ69G5FAU').reason).toBe('ULID contains characters outside Crockford base32');
+      expect(validateUlid('81ARZ3NDEKTSV4RRFFQ69G5FAV').reason).toBe('ULID timestamp is out of range');
+      expect(isUlid('7ZZZZZZZZZZZZZZZZZZZZZZZZZ')).toBe(true);
+      expect(isUlid(null)).toBe(false);
+    });
+  });
+
+  describe('validatePhone', () => {
+    test('validates E.164 numbers', () => {
+      expect(validatePhone('+14155552671').valid).toBe(true);
+      expect(validatePhone('14155552671').valid).toBe(false);
+      expect(validatePhone('+01234').reason).toBe('Country code cannot start with 0');
+      expect(validatePhone('+1234567890123456').reason).toBe('Phone number has more than 15 digits');
+      expect(validatePhone('+1 (415) 555-2671').valid).toBe(false);
+      expect(validatePhone('+1 (415) 555-2671', { strict: false }).valid).toBe(true);
+    });
+  });
+
+  describe('luhnCheck and validateCreditCard', () => {
+    test('checks the Luhn checksum', () => {
+      expect(luhnCheck('4242424242424242')).toBe(true);
+      expect(luhnCheck('79927398713')).toBe(true);
+      expect(luhnCheck('79927398710')).toBe(false);
+      expect(luhnCheck('abc')).toBe(false);
+    });
+
+    test('validates card numbers', () => {
+      expect(validateCreditCard('4242 4242 4242 4242').valid).toBe(true);
+      expect(validateCreditCard('4242-4242-4242-4241').reason).toBe('Card number checksum is invalid');
+      expect(validateCreditCard('4242').reason).toBe('Card number must have 12 to 19 digits');
+    });
+  });
+
+  describe('validateIban', () => {
+    test('validates country, length and checksum', () => {
+      expect(validateIban('GB82 WEST 1234 5698 7654 32').valid).toBe(true);
+      expect(validateIban('de89370400440532013000').valid).toBe(true);
+      expect(validateIban('GB82WEST12345698765433').reason).toBe('IBAN checksum is invalid');
+      expect(validateIban('DE8937040044053201300').reason).toBe('IBAN for DE must have 22 characters');
+      expect(validateIban('US12345678901234').reason).toBe('Country "US" does not use IBANs');
+    });
+  });
+
+  describe('validateIsoDate', () => {
+    test('validates dates and date-times', () => {
+      expect(validateIsoDate('2024-02-29').valid).toBe(true);
+      expect(validateIsoDate('2024-02-29T12:30:00Z').valid).toBe(true);
+      expect(validateIsoDate('2024-02-29T12:30:00.123+05:30').valid).toBe(true);
+      expect(validateIsoDate('2023-02-29').reason).toBe('Day 29 does not exist in 2023-02');
+      expect(validateIsoDate('2024-13-01').reason).toBe('Month 13 is out of range');
+      expect(validateIsoDate('2024-01-01T24:00').reason).toBe('Time is out of range');
+      expect(validateIsoDate('01/02/2024').valid).toBe(false);
+    });
+
+    test('handles leap years in the years 0000 to 0099', () => {
+      expect(validateIsoDate('0000-02-29').valid).toBe(true);
+      expect(validateIsoDate('0004-02-29').valid).toBe(true);
+      expect(validateIsoDate('0001-02-29').valid).toBe(false);
+      expect(validateIsoDate('1900-02-29').valid).toBe(false);
+      expect(validateIsoDate('0099-04-31').reason).toBe('Day 31 does not exist in 0099-04');
+      expect(validateIsoDate('2024-01-01T10:00', { dateOnly: true }).valid).toBe(false);
+    });
+  });
+
+  describe('validateHexColor', () => {
+    test('validates hex colors', () => {
+      expect(validateHexColor('#fff').valid).toBe(true);
+      expect(validateHexColor('#1E90FF').valid).toBe(true);
+      expect(validateHexColor('#1e90ff80').valid).toBe(true);
+      expect(validateHexColor('#1e90ff80', { alpha: false }).valid).toBe(false);
+      expect(validateHexColor('1e90ff').reason).toBe('Hex color must start with "#"');
+      expect(validateHexColor('1e90ff', { requireHash: false }).valid).toBe(true);
+      expect(validateHexColor('#12345').valid).toBe(false);
+      expect(validateHexColor('#ggg').valid).toBe(false);
+    });
+  });
+
+  describe('validateNumeric', () => {
+    test('accepts digits from any script', () => {
+      expect(validateNumeric('12345').valid).toBe(true);
+      expect(validateNumeric('١٢٣').valid).toBe(true);
+      expect(validateNumeric('१२३').valid).toBe(true);
+      expect(validateNumeric('').reason).toBe('Value is empty');
+    });
+
+    test('supports decimals and negatives', () => {
+      expect(validateNumeric('123.45').reason).toBe('Decimals are not allowed');
+      expect(validateNumeric('123.45', { decimal: true }).valid).toBe(true);
+      expect(validateNumeric('-5').reason).toBe('Negative numbers are not allowed');
+      expect(validateNumeric('-.5', { decimal: true, negative: true }).valid).toBe(true);
+      expect(validateNumeric('1.2.3', { decimal: true }).valid).toBe(false);
+    });
+  });
+
+  describe('boolean shorthands', () => {
+    test('return the validity', () => {
+      expect(isIp('::1')).toBe(true);
+      expect(isUuid('not-a-uuid')).toBe(false);
+      expect(isPhone('+442071838750')).toBe(true);
+      expect(isCreditCard('4242424242424242')).toBe(true);
+      expect(isIban('DE89370400440532013000')).toBe(true);
+      expect(isIsoDate('2024-02-30')).toBe(false);
+      expect(isHexColor('#abc')).toBe(true);
+    });
+
+    test('keep the string module validators working', () => {
+      expect(isEmail('a@b..c')).toBe(false);
+      expect(isEmail('jane+news@example.com')).toBe(true);
+      expect(isUrl('javascript:alert(1)')).toBe(false);
+      expect(isUrl('http://localhost', { requireTld: false })).toBe(true);
+      expect(isUrl('http://localhost:3000')).toBe(true);
+      expect(isUrl('ftp://x.com/f')).toBe(true);
+      expect(isUrl('mailto:jane@example.com')).toBe(true);
+      expect(isUrl('VBScript:msgbox(1)')).toBe(false);
+      expect(isUrl('data:text/html,<script>alert(1)</script>')).toBe(false);
+      expect(isUrl('https://example.com', { protocols: ['ftp'] })).toBe(false);
+      expect(isNumeric('١٢٣')).toBe(true);
+      expect(isNumeric('123.45')).toBe(false);
+    });
+  });
+});